@@ -1,35 +1,302 @@
 import * as PIXI from 'pixi.js';
 
+/**
+ * Report a failure to the action through `window.benchmarkError`, so it stops
+ * waiting for a result and marks the benchmark as errored. Only the first error
+ * is kept
+ * @param {*} error - Error or rejection reason
+ */
+export function reportError(error)
+{
+    if (window.benchmarkError) return;
+
+    window.benchmarkError = {
+        message: error?.message ?? String(error),
+        stack: error?.stack,
+    };
+}
+
+// Uncaught errors and rejections, e.g. from a benchmark's startup code, end the run straight away
+window.addEventListener('error', (event) => reportError(event.error ?? event.message));
+window.addEventListener('unhandledrejection', (event) => reportError(event.reason));
+
+/** Number of recent warmup frames that steady-state detection looks at */
+const STEADY_WINDOW = 30;
+
+/** Largest coefficient of variation of frame times that counts as steady */
+const STEADY_CV = 0.1;
+
+/** Warmup frames after which steady-state detection gives up and measures anyway */
+const MAX_WARMUP_FRAMES = 1000;
+
 class Engine
 {
     constructor(name, count)
     {
-        this.count = count || 0;
+        // Named parameters passed by the action through the page query string
+        this.params = new URLSearchParams(window.location.search);
+        this.count = this.param('count', count || 0);
         this.name = name || 'Unnamed Benchmark';
+        // Seed for `random()`, passed by the action so both sides build the same scene
+        this.seed = this.param('seed', 1);
+        this.randomState = this.seed >>> 0;
+        // Drive frames from a manual loop with a constant delta instead of `app.ticker`
+        this.fixedTimestep = this.param('fixedTimestep', 0) === 1;
+        // Number of recent frames the smoothed `fps` averages over
+        this.maxFrameTimeHistory = 60;
+        this.marks = [];
+        this.mark('start');
+    }
+
+    /**
+     * Record a timing mark. Each mark ends a phase that started at the previous
+     * mark, e.g. `assetLoad` after `PIXI.Assets.load` resolves
+     * @param {string} name - Name of the phase that ends now
+     */
+    mark(name)
+    {
+        this.marks.push({ name, time: performance.now() });
+        performance.mark(`benchmark:${name}`);
+    }
+
+    /**
+     * Get the duration of every phase between consecutive marks
+     * @returns {{ name: string, duration: number }[]} Phases in the order they were marked
+     */
+    getPhases()
+    {
+        return this.marks.slice(1).map((mark, i) => ({
+            name: mark.name,
+            duration: Math.round((mark.time - this.marks[i].time) * 100) / 100,
+        }));
+    }
+
+    /**
+     * Seeded replacement for `Math.random()` (mulberry32), so the baseline and
+     * local pages build and animate exactly the same scene
+     * @returns {number} Pseudo-random number in [0, 1)
+     */
+    random()
+    {
+        this.randomState = (this.randomState + 0x6d2b79f5) >>> 0;
+        let t = this.randomState;
+
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Read a named parameter from the benchmark's `benchmark.json` `params`
+     * @param {string} key - Parameter name
+     * @param {*} defaultValue - Value used when the parameter is absent; numeric defaults parse the value as a number
+     * @returns {*} Parameter value
+     */
+    param(key, defaultValue)
+    {
+        const value = this.params.get(key);
+
+        if (value === null) return defaultValue;
+
+        return typeof defaultValue === 'number' ? Number(value) : value;
     }
 
     async init()
     {
-        this.width = 800;
-        this.height = 600;
-        this.maxFrames = 500;
+        // Fill the viewport of the action's device profile, at its devicePixelRatio
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
         this.app = new PIXI.Application();
         await this.app.init({
             width: this.width,
             height: this.height,
+            resolution: window.devicePixelRatio,
+            autoDensity: true,
             backgroundColor: 0x1a1a1a,
             antialias: false,
+            preference: this.param('renderer', 'webgl'),
+            autoStart: !this.fixedTimestep,
         });
+        // The preferred renderer may be unavailable, so record the one PixiJS actually picked
+        this.renderer = this.app.renderer.name;
+        this.mark('rendererInit');
 
         document.body.appendChild(this.app.canvas);
-        this.resetMetrics();
     }
 
-    async render()
+    /**
+     * Build the scene. Called once the application is initialised; mark `assetLoad`
+     * after loading assets so startup time is broken down
+     * @returns {Promise<void>|void}
+     */
+    setup()
     {
         // abstract method to be implemented by subclasses
     }
 
+    /**
+     * Advance the scene by one frame. Called before every frame, warmup frames included
+     * @param {number} frame - Index of the frame, counting from 0 at the first warmup frame
+     * @param {number} deltaTime - Frame delta in 60fps frames, always 1 in fixed-timestep mode
+     */
+    update(frame, deltaTime)
+    {
+        // abstract method to be implemented by subclasses
+    }
+
+    /**
+     * Release anything the scene holds outside the application, which is destroyed
+     * right after. Optional
+     * @returns {Promise<void>|void}
+     */
+    teardown()
+    {
+        // optional hook for subclasses
+    }
+
+    /**
+     * Run the whole benchmark: initialise, set up the scene, warm up, render
+     * `frames` measured frames and tear down
+     * @param {object} options
+     * @param {number} options.warmupFrames - Minimum frames rendered before measuring
+     * @param {number} options.warmupTime - Minimum milliseconds rendered before measuring
+     * @param {boolean} options.steadyState - Keep warming up until frame times settle, see `isSteady()`
+     * @param {number} options.frames - Measured frames
+     * @returns {Promise<object>} Performance metrics of the measured frames
+     */
+    async run({ warmupFrames, warmupTime, steadyState, frames })
+    {
+        this.warmupOptions = { frames: warmupFrames, time: warmupTime, steadyState };
+        this.maxFrames = frames;
+
+        await this.init();
+        await this.setup();
+        this.mark('sceneBuild');
+
+        this.resetMetrics();
+        this.warmupStart = performance.now();
+        this.warmupDurations = [];
+        // Without any warmup, measuring starts with the first frame
+        this.warmup = !warmupFrames && !warmupTime && !steadyState ? { frames: 0, time: 0 } : null;
+        await this.loop();
+
+        return this.getPerformanceMetrics();
+    }
+
+    /**
+     * Render frames until warmed up, then the measured frames, then finish.
+     * Frames come from `app.ticker`, or in fixed-timestep mode from a manual
+     * render loop that advances every frame by exactly one 60fps frame
+     * @returns {Promise<void>} Resolves once the run has finished
+     */
+    loop()
+    {
+        let frameIndex = 0;
+
+        return new Promise((resolve, reject) =>
+        {
+            // Returns whether another frame is needed
+            const frame = (deltaTime) =>
+            {
+                this.update(frameIndex, deltaTime);
+                if (this.fixedTimestep) this.app.render();
+                frameIndex++;
+
+                // Ticker callbacks run before the app renders, so with the ticker the first frame has rendered by
+                // the second tick; the fixed-timestep loop renders before ticking
+                if (frameIndex === (this.fixedTimestep ? 1 : 2)) this.mark('firstFrame');
+
+                if (this.warmup) this.tick();
+                else this.warmUp(frameIndex);
+
+                if (!this.warmup || this.frameCount < this.maxFrames) return true;
+                this.finish().then(resolve, reject);
+
+                return false;
+            };
+
+            if (this.fixedTimestep)
+            {
+                const step = () =>
+                {
+                    if (frame(1)) requestAnimationFrame(step);
+                };
+
+                requestAnimationFrame(step);
+            }
+            else
+            {
+                this.app.ticker.add((ticker) => frame(ticker.deltaTime));
+            }
+        });
+    }
+
+    /**
+     * Record a warmup frame, and start measuring from the end of it once the
+     * minimum warmup frames and time have passed and, with steady-state
+     * detection, frame times have settled. Steady-state detection gives up after
+     * `MAX_WARMUP_FRAMES` frames
+     * @param {number} frames - Frames rendered so far
+     */
+    warmUp(frames)
+    {
+        const now = performance.now();
+
+        this.warmupDurations.push(now - this.lastFrameTime);
+        this.lastFrameTime = now;
+
+        const { frames: minFrames, time: minTime, steadyState } = this.warmupOptions;
+        const elapsed = now - this.warmupStart;
+
+        if (frames < minFrames || elapsed < minTime) return;
+
+        const steady = steadyState ? this.isSteady() : undefined;
+
+        if (steadyState && !steady && frames < MAX_WARMUP_FRAMES) return;
+
+        this.warmup = { frames, time: Math.round(elapsed * 100) / 100, steady };
+        this.resetMetrics();
+    }
+
+    /**
+     * Whether frame times have settled: the coefficient of variation (standard
+     * deviation over mean) of the last `STEADY_WINDOW` warmup frames is at most
+     * `STEADY_CV`
+     * @returns {boolean} True once the scene renders at a steady pace
+     */
+    isSteady()
+    {
+        const recent = this.warmupDurations.slice(-STEADY_WINDOW);
+
+        if (recent.length < STEADY_WINDOW) return false;
+
+        const mean = recent.reduce((sum, time) => sum + time, 0) / recent.length;
+        const variance = recent.reduce((sum, time) => sum + ((time - mean) ** 2), 0) / recent.length;
+
+        return mean > 0 && Math.sqrt(variance) / mean <= STEADY_CV;
+    }
+
+    /**
+     * End the measured run: stop the ticker, capture the last frame for the
+     * action's visual check, tear down the scene and destroy the application.
+     * A timed or steady-state warmup renders a different number of frames on
+     * each side, so the last frames would not match and none is captured
+     */
+    async finish()
+    {
+        this.app.ticker.stop();
+        this.endTime = performance.now();
+        this.counters = this.countersSince(this.startCounters);
+
+        if (!this.warmupOptions.time && !this.warmupOptions.steadyState)
+        {
+            this.snapshot = await this.app.renderer.extract.base64({ target: this.app.stage, frame: this.app.screen });
+        }
+        await this.teardown();
+        this.app.destroy(true, true);
+    }
+
     tick()
     {
         const currentTime = performance.now();
@@ -42,6 +309,11 @@ class Engine
         // Calculate instantaneous FPS
         const instantFps = deltaTime > 0 ? 1000 / deltaTime : 0;
 
+        // Keep every frame duration so the action can derive percentiles and jank counts
+        this.frameDurations.push(deltaTime);
+
+        if (this.frameCount === this.maxFrames) this.mark('steadyState');
+
         // Track frame times for smoothed FPS calculation
         this.frameTimes.push(deltaTime);
         if (this.frameTimes.length > this.maxFrameTimeHistory)
@@ -71,7 +343,7 @@ class Engine
      */
     getPerformanceMetrics()
     {
-        const currentTime = performance.now();
+        const currentTime = this.endTime ?? performance.now();
         const totalBenchmarkTime = currentTime - this.benchmarkStartTime;
         const avgFps = this.frameCount > 0 ? (this.frameCount * 1000) / totalBenchmarkTime : 0;
         const avgFrameTime = this.frameCount > 0 ? this.totalFrameTime / this.frameCount : 0;
@@ -85,6 +357,12 @@ class Engine
             avgFrameTime: Math.round(avgFrameTime * 100) / 100,
             totalTime: Math.round(totalBenchmarkTime * 100) / 100,
             name: this.name || 'Unnamed Benchmark',
+            frameDurations: this.frameDurations.map((time) => Math.round(time * 100) / 100),
+            phases: this.getPhases(),
+            renderer: this.renderer,
+            warmup: this.warmup,
+            counters: this.counters,
+            snapshot: this.snapshot,
         };
     }
 
@@ -95,10 +373,65 @@ class Engine
         this.frameCount = 0;
         this.fps = 0;
         this.frameTimes = [];
+        this.frameDurations = [];
         this.minFps = Infinity;
         this.maxFps = 0;
         this.totalFrameTime = 0;
         this.benchmarkStartTime = performance.now();
+        this.endTime = undefined;
+        this.startCounters = { ...window.__rendererCounters };
+    }
+
+    /**
+     * Renderer calls per measured frame since `start`, from the counters the
+     * action's instrumentation keeps in `window.__rendererCounters`
+     * @param {object} start - Counter totals when measuring started
+     * @returns {object|undefined} Calls per frame by counter, or undefined without instrumentation
+     */
+    countersSince(start)
+    {
+        const totals = window.__rendererCounters;
+
+        if (!totals || this.frameCount === 0) return undefined;
+
+        return Object.fromEntries(Object.entries(totals).map(([key, total]) =>
+            [key, Math.round(((total - start[key]) / this.frameCount) * 100) / 100]));
+    }
+}
+
+/**
+ * Run a benchmark page: construct `TestClass`, run it and report its metrics to
+ * the action through `window.benchmarkResult`, or its error through
+ * `window.benchmarkError`. Every option but `name` can be overridden with the
+ * param of the same name
+ * @param {typeof Engine} TestClass - Engine subclass implementing the benchmark
+ * @param {object} [options]
+ * @param {string} [options.name] - Benchmark name
+ * @param {number} [options.count] - Number of objects
+ * @param {number} [options.warmupFrames=30] - Minimum unmeasured frames rendered before measuring
+ * @param {number} [options.warmupTime=0] - Minimum unmeasured milliseconds rendered before measuring
+ * @param {boolean} [options.steadyState=false] - Keep warming up until frame times settle
+ * @param {number} [options.frames=500] - Measured frames
+ * @returns {Promise<void>}
+ */
+export async function runBenchmark(TestClass, options = {})
+{
+    const { name, count, warmupFrames = 30, warmupTime = 0, steadyState = false, frames = 500 } = options;
+
+    try
+    {
+        const benchmark = new TestClass(name, count);
+
+        window.benchmarkResult = await benchmark.run({
+            warmupFrames: benchmark.param('warmupFrames', warmupFrames),
+            warmupTime: benchmark.param('warmupTime', warmupTime),
+            steadyState: benchmark.param('steadyState', steadyState ? 1 : 0) === 1,
+            frames: benchmark.param('frames', frames),
+        });
+    }
+    catch (error)
+    {
+        reportError(error);
     }
 }
 
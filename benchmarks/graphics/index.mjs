@@ -1,30 +1,30 @@
 import * as PIXI from 'pixi.js';
-import Engine from '../Engine.mjs';
+import Engine, { runBenchmark } from '../Engine.mjs';
 
 export class Test extends Engine
 {
-    async init()
+    async setup()
     {
-        await super.init();
-
         // load bunny texture
         await PIXI.Assets.load({
             alias: 'bunny',
-            src: 'https://pixijs.io/examples/examples/assets/bunny.png',
+            src: '../assets/bunny.png',
         });
 
+        this.mark('assetLoad');
+
         this.texture = PIXI.Assets.get('bunny');
         const particles = new Array(this.count);
         const rnd = [1, -1];
 
         for (let i = 0; i < this.count; i++)
         {
-            const size = 10 + (Math.random() * 80);
-            const x = Math.random() * this.width;
-            const y = Math.random() * (this.height - size);
+            const size = 10 + (this.random() * 80);
+            const x = this.random() * this.width;
+            const y = this.random() * (this.height - size);
             const [dx, dy] = [
-                3 * Math.random() * rnd[Math.floor(Math.random() * 2)],
-                3 * Math.random() * rnd[Math.floor(Math.random() * 2)],
+                3 * this.random() * rnd[Math.floor(this.random() * 2)],
+                3 * this.random() * rnd[Math.floor(this.random() * 2)],
             ];
 
             const particle = new PIXI.Graphics();
@@ -37,51 +37,28 @@ export class Test extends Engine
         this.particles = particles;
     }
 
-    async render()
+    update()
     {
-        return new Promise((resolve) =>
-        {
-            this.app.ticker.add(() =>
-            {
-                // Particle animation
-                const particles = this.particles;
+        // Particle animation
+        const particles = this.particles;
 
-                for (let i = 0; i < this.count; i++)
-                {
-                    const r = particles[i];
-
-                    r.el.clear();
-                    r.el.circle(0, 0, r.size).fill(0xffffff).stroke(0x000000);
-
-                    r.x -= r.dx;
-                    r.y -= r.dy;
-                    if (r.x + r.size < 0) r.dx *= -1;
-                    else if (r.y + r.size < 0) r.dy *= -1;
-                    if (r.x > this.width) r.dx *= -1;
-                    else if (r.y > this.height) r.dy *= -1;
-                    r.el.position.x = r.x;
-                    r.el.position.y = r.y;
-                }
+        for (let i = 0; i < this.count; i++)
+        {
+            const r = particles[i];
 
-                this.tick();
+            r.el.clear();
+            r.el.circle(0, 0, r.size).fill(0xffffff).stroke(0x000000);
 
-                if (this.frameCount >= this.maxFrames)
-                {
-                    this.app.destroy(true, true);
-                    resolve();
-                }
-            });
-        });
+            r.x -= r.dx;
+            r.y -= r.dy;
+            if (r.x + r.size < 0) r.dx *= -1;
+            else if (r.y + r.size < 0) r.dy *= -1;
+            if (r.x > this.width) r.dx *= -1;
+            else if (r.y > this.height) r.dy *= -1;
+            r.el.position.x = r.x;
+            r.el.position.y = r.y;
+        }
     }
 }
 
-(async () =>
-{
-    const spriteBenchmark = new Test('Graphics (100)', 100);
-
-    await spriteBenchmark.init();
-    spriteBenchmark.resetMetrics();
-    await spriteBenchmark.render();
-
-    window.benchmarkResult = spriteBenchmark.getPerformanceMetrics();
-})();
+runBenchmark(Test, { name: 'Graphics (100)', count: 100 });
@@ -0,0 +1,96 @@
+import { execFileSync, execSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { log } from './log.js';
+
+/** URL prefix under which the local server exposes the baseline build. */
+export const BASELINE_PREFIX = '/__baseline__/';
+
+const DEV_CDN_URL = '//cdn.jsdelivr.net/npm/pixi.js@dev/dist/pixi.mjs';
+
+function assertPixiBuild(distPath, source) {
+  const pixiPath = path.join(distPath, 'pixi.mjs');
+  if (!fs.existsSync(pixiPath)) throw new Error(`pixi.mjs not found in ${source}: ${pixiPath}`);
+}
+
+/** Removes a baseline worktree, including one whose checkout or registration failed halfway. */
+function removeWorktree(worktree) {
+  try {
+    execFileSync('git', ['worktree', 'remove', '--force', worktree], { stdio: 'ignore' });
+  } catch {}
+  fs.rmSync(worktree, { recursive: true, force: true });
+  try {
+    execFileSync('git', ['worktree', 'prune'], { stdio: 'ignore' });
+  } catch {}
+}
+
+function buildBaselineRef(ref, buildCommand) {
+  log.startGroup(`Build baseline from ${ref}`);
+  const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'pixi-baseline-'));
+  try {
+    execFileSync('git', ['worktree', 'add', '--detach', worktree, ref], { stdio: 'inherit' });
+    execSync(buildCommand, { cwd: worktree, stdio: 'inherit' });
+    const sha = execFileSync('git', ['rev-parse', '--short', 'HEAD'], { cwd: worktree }).toString().trim();
+    return { worktree, sha };
+  } catch (err) {
+    // the caller only gets a cleanup function back on success
+    removeWorktree(worktree);
+    throw err;
+  } finally {
+    log.endGroup();
+  }
+}
+
+/**
+ * Resolves the build the local dist is compared against.
+ *
+ * Precedence is `baseline-path`, then `baseline-ref`, then the jsDelivr `dev`
+ * CDN build. Local baselines are served by the action's own server under
+ * {@link BASELINE_PREFIX}, so only the CDN fallback needs the network.
+ *
+ * @param {object} options
+ * @param {string} [options.baselinePath] Folder containing a prebuilt `pixi.mjs`.
+ * @param {string} [options.baselineRef] Git ref to check out and build.
+ * @param {string} [options.buildCommand] Command that produces `dist/pixi.mjs` in the checkout.
+ * @returns {{ label: string, description: string, pixiUrl: string, distPath?: string, cleanup: () => void }}
+ */
+export function resolveBaseline({ baselinePath, baselineRef, buildCommand }) {
+  if (baselinePath) {
+    const distPath = path.resolve(baselinePath);
+    assertPixiBuild(distPath, 'baseline path');
+    return {
+      label: 'baseline',
+      description: `local build \`${baselinePath}\``,
+      pixiUrl: `${BASELINE_PREFIX}pixi.mjs`,
+      distPath,
+      cleanup: () => {}
+    };
+  }
+
+  if (baselineRef) {
+    const { worktree, sha } = buildBaselineRef(baselineRef, buildCommand);
+    const distPath = path.join(worktree, 'dist');
+    const cleanup = () => removeWorktree(worktree);
+    try {
+      assertPixiBuild(distPath, `baseline ref ${baselineRef}`);
+    } catch (err) {
+      cleanup();
+      throw err;
+    }
+    return {
+      label: 'baseline',
+      description: `\`${baselineRef}\` (${sha}) built locally`,
+      pixiUrl: `${BASELINE_PREFIX}pixi.mjs`,
+      distPath,
+      cleanup
+    };
+  }
+
+  return {
+    label: 'dev',
+    description: 'jsDelivr `pixi.js@dev` CDN',
+    pixiUrl: DEV_CDN_URL,
+    cleanup: () => {}
+  };
+}
@@ -0,0 +1,71 @@
+import { chromium, firefox, webkit } from 'playwright';
+import { pinnedExecutable } from './parallel.js';
+
+/**
+ * Browsers the suite can run on, with the headless flags that give each a
+ * working (software) WebGL context. Only Chromium speaks the DevTools Protocol,
+ * so memory metrics and profiling are Chromium-only.
+ */
+export const BROWSERS = {
+  chromium: {
+    label: 'Chromium',
+    engine: chromium,
+    args: ['--use-gl=angle', '--disable-web-security'],
+    cdp: true
+  },
+  firefox: {
+    label: 'Firefox',
+    engine: firefox,
+    firefoxUserPrefs: { 'webgl.force-enabled': true, 'webgl.disabled': false },
+    cdp: false
+  },
+  webkit: {
+    label: 'WebKit',
+    engine: webkit,
+    cdp: false
+  }
+};
+
+/**
+ * Parses the comma-separated `browsers` input. Each browser may carry its own
+ * tolerance after a colon, e.g. `chromium, webkit:15`.
+ *
+ * @param {string} input
+ * @returns {{ name: string, tolerance?: number }[]} In input order without duplicates.
+ */
+export function parseBrowsers(input) {
+  const browsers = new Map();
+  for (const entry of input.split(',')) {
+    const [name, tolerance] = entry.split(':').map((part) => part.trim());
+    if (!name) continue;
+    const key = name.toLowerCase();
+    if (!BROWSERS[key]) {
+      throw new Error(
+        `Unknown browser "${name}" in the browsers input. Expected any of: ${Object.keys(BROWSERS).join(', ')}`
+      );
+    }
+    if (tolerance !== undefined && !(Number(tolerance) >= 0)) {
+      throw new Error(`Invalid tolerance "${tolerance}" for ${key} in the browsers input`);
+    }
+    browsers.set(key, { name: key, tolerance: tolerance === undefined ? undefined : Number(tolerance) });
+  }
+  if (browsers.size === 0) throw new Error('The browsers input must list at least one browser');
+  return [...browsers.values()];
+}
+
+/**
+ * Builds Playwright launch options for one benchmark run. `browserArgs` from
+ * the settings are Chromium command-line flags and `firefoxUserPrefs` Firefox
+ * preferences; each is only passed to its own browser. With `cores`, the
+ * browser is pinned to those CPU cores.
+ *
+ * @param {object} settings Resolved benchmark settings with a `browser` name.
+ */
+export function launchOptions({ browser, browserArgs = [], firefoxUserPrefs = {}, cores }) {
+  const { engine, args = [], firefoxUserPrefs: prefs } = BROWSERS[browser];
+  const options = { headless: true, args };
+  if (browser === 'chromium') options.args = [...args, ...browserArgs];
+  if (browser === 'firefox') options.firefoxUserPrefs = { ...prefs, ...firefoxUserPrefs };
+  if (cores) options.executablePath = pinnedExecutable(engine.executablePath(), cores);
+  return options;
+}
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * Command-line runner for benchmarking outside GitHub Actions, e.g. before
+ * pushing a performance-sensitive change:
+ *
+ *   pixi-bench run --baseline ./old-dist --candidate ./dist --filter sprite
+ *
+ * It measures with the same code as the action and prints a table instead of
+ * commenting on a PR.
+ */
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { resolveBaseline } from './baseline.js';
+import { parseBrowsers } from './browsers.js';
+import { parseWarmup } from './config.js';
+import { parseDeviceProfiles } from './devices.js';
+import { consoleLogger, setLogger } from './log.js';
+import { getMetric } from './metrics.js';
+import { confidenceLabel, formatInterval, formatSamples } from './report.js';
+import { isRegression, serializeResults, writeResultsJson } from './results.js';
+import { parseRenderers } from './renderers.js';
+import { runSuite } from './runner.js';
+import { parsePatterns } from './select.js';
+
+const USAGE = `Usage: pixi-bench run [options]
+
+Compares a candidate PixiJS build against a baseline build on the benchmarks.
+
+Options:
+  --candidate <dir>         Folder containing the pixi.mjs under test (default: ./dist)
+  --baseline <dir>          Folder containing a prebuilt baseline pixi.mjs
+  --baseline-ref <ref>      Git ref to check out and build as the baseline instead
+  --build-command <cmd>     Command that builds --baseline-ref (default: npm ci && npm run build)
+  --benchmarks <dir>        Folder containing the benchmarks (default: ./benchmarks)
+  --filter <pattern>        Only run benchmarks matching a path glob or tag:<name>; repeatable
+  --exclude <pattern>       Leave out benchmarks matching a path glob or tag:<name>; repeatable
+  --metric <name>           Metric that gates the verdict (default: avgFps)
+  --perf-change <percent>   Smallest change classed as a regression or improvement (default: 3)
+  --significance <alpha>    Significance level of the t-test (default: 0.05)
+  --min-runs <n>            Minimum runs per side (default: 3)
+  --max-runs <n>            Maximum runs per side (default: 10)
+  --target-ci <percent>     Stop sampling once the delta's CI is within ±this (default: 2)
+  --frame-budgets <list>    Frame budgets in ms that count janky frames (default: 16.7, 33.3)
+  --memory-tolerance <%>    Smallest change in a memory/GC metric classed as a regression (default: 10)
+  --workload-tolerance <%>  Largest growth in a renderer workload counter per frame (default: 5)
+  --visual-tolerance <%>    Share of differing pixels allowed in the final frame (default: 1)
+  --browsers <list>         Browsers to run on (default: chromium)
+  --renderers <list>        Renderer preferences to run with (default: webgl)
+  --device-profiles <list>  Device profiles to emulate, e.g. desktop, phone (default: desktop)
+  --seed <n>                Seed for Engine#random (default: 1)
+  --fixed-timestep          Drive frames from a manual loop with a constant delta
+  --warmup <frames|time>    Unmeasured warmup, e.g. 60 or 2s (default: the benchmark's, 30 frames)
+  --steady-state            Keep warming up until frame times settle
+  --concurrency <n>         Benchmarks measured at once (default: 1)
+  --snapshot-dir <dir>      Folder for the final-frame images (default: benchmark-snapshots)
+  --profile <dir>           Profile regressed benchmarks into this folder
+  --json <file>             Write the results file
+  -h, --help                Show this help
+
+Without --baseline or --baseline-ref the baseline is pixi.js@dev from jsDelivr.
+Exits with 1 when a benchmark regressed or errored.`;
+
+const OPTIONS = {
+  candidate: { type: 'string', default: './dist' },
+  baseline: { type: 'string' },
+  'baseline-ref': { type: 'string' },
+  'build-command': { type: 'string', default: 'npm ci && npm run build' },
+  benchmarks: { type: 'string', default: './benchmarks' },
+  filter: { type: 'string', multiple: true, default: [] },
+  exclude: { type: 'string', multiple: true, default: [] },
+  metric: { type: 'string', default: 'avgFps' },
+  'perf-change': { type: 'string', default: '3' },
+  significance: { type: 'string', default: '0.05' },
+  'min-runs': { type: 'string', default: '3' },
+  'max-runs': { type: 'string', default: '10' },
+  'target-ci': { type: 'string', default: '2' },
+  'frame-budgets': { type: 'string', default: '16.7, 33.3' },
+  'memory-tolerance': { type: 'string', default: '10' },
+  'workload-tolerance': { type: 'string', default: '5' },
+  'visual-tolerance': { type: 'string', default: '1' },
+  browsers: { type: 'string', default: 'chromium' },
+  renderers: { type: 'string', default: 'webgl' },
+  'device-profiles': { type: 'string', default: 'desktop' },
+  seed: { type: 'string', default: '1' },
+  'fixed-timestep': { type: 'boolean', default: false },
+  warmup: { type: 'string' },
+  'steady-state': { type: 'boolean', default: false },
+  concurrency: { type: 'string', default: '1' },
+  'snapshot-dir': { type: 'string', default: 'benchmark-snapshots' },
+  profile: { type: 'string' },
+  json: { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+function parseNumber(values, key, { integer = false } = {}) {
+  const value = Number(values[key]);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+    throw new Error(`Invalid --${key} "${values[key]}": expected ${integer ? 'an integer' : 'a number'}`);
+  }
+  return value;
+}
+
+/** Renders the comparison rows as an aligned plain-text table. */
+function renderTable(comparisons, { baseline, alpha }) {
+  const header = ['Name', 'Metric', baseline.label, 'local', 'Δ%', `${confidenceLabel(alpha)} CI`, 'p', 'Verdict'];
+  const rows = comparisons.map((row) => {
+    if (row.verdict === 'errored') return [row.name, row.metric.label, 'n/a', 'n/a', 'n/a', 'n/a', 'n/a', 'errored'];
+    const flags = [
+      row.verdict,
+      row.memoryVerdict === 'regression' && 'memory regression',
+      row.workloadVerdict === 'regression' && 'workload regression',
+      row.visual?.mismatch && 'visual mismatch'
+    ];
+    return [
+      row.name,
+      row.metric.label,
+      formatSamples(row.baselineResult, row.metric),
+      formatSamples(row.localResult, row.metric),
+      `${row.diffPercent.toFixed(2)}%`,
+      formatInterval(row.ci),
+      row.pValue.toFixed(3),
+      flags.filter(Boolean).join(', ')
+    ];
+  });
+  const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map((row) => row[i].length)));
+  const formatRow = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+  return [header, widths.map((width) => '-'.repeat(width)), ...rows].map((row) => formatRow(row).trimEnd()).join('\n');
+}
+
+async function runCommand(values) {
+  const browsers = parseBrowsers(values.browsers);
+  const renderers = parseRenderers(values.renderers);
+  const devices = parseDeviceProfiles(values['device-profiles']);
+  const seed = parseNumber(values, 'seed', { integer: true });
+  const alpha = parseNumber(values, 'significance');
+  const concurrency = parseNumber(values, 'concurrency', { integer: true });
+  const frameBudgets = values['frame-budgets'].split(',').map((budget) => Number(budget.trim()));
+  if (frameBudgets.some((budget) => !(budget > 0))) {
+    throw new Error(`Invalid --frame-budgets "${values['frame-budgets']}": expected comma-separated milliseconds`);
+  }
+  const benchmarkPath = values.benchmarks;
+
+  const baseline = resolveBaseline({
+    baselinePath: values.baseline,
+    baselineRef: values['baseline-ref'],
+    buildCommand: values['build-command']
+  });
+  console.log(`Baseline: ${baseline.description}`);
+
+  try {
+    const { comparisons, skipped } = await runSuite({
+      benchmarkPath,
+      candidatePath: path.resolve(values.candidate),
+      baseline,
+      assetsPath: path.resolve(benchmarkPath, 'assets'),
+      defaults: {
+        metric: getMetric(values.metric, '--metric'),
+        tolerance: parseNumber(values, 'perf-change'),
+        minRuns: parseNumber(values, 'min-runs', { integer: true }),
+        maxRuns: parseNumber(values, 'max-runs', { integer: true }),
+        timeout: 60_000,
+        browserArgs: [],
+        fixedTimestep: values['fixed-timestep'],
+        warmup: values.warmup ? parseWarmup(values.warmup, '--warmup') : null,
+        steadyState: values['steady-state']
+      },
+      browsers,
+      renderers,
+      devices,
+      seed,
+      selection: {
+        include: parsePatterns(values.filter.join(',')),
+        exclude: parsePatterns(values.exclude.join(','))
+      },
+      concurrency,
+      measure: {
+        targetCi: parseNumber(values, 'target-ci'),
+        alpha,
+        frameBudgets,
+        memoryTolerance: parseNumber(values, 'memory-tolerance'),
+        workloadTolerance: parseNumber(values, 'workload-tolerance'),
+        visualOptions: { snapshotDir: values['snapshot-dir'], tolerance: parseNumber(values, 'visual-tolerance') },
+        profileRegressions: Boolean(values.profile),
+        profileDir: values.profile
+      }
+    });
+
+    console.log(`\n${renderTable(comparisons, { baseline, alpha })}`);
+    for (const { name, reason } of skipped) console.log(`Skipped ${name}: ${reason}`);
+    for (const { name, verdict, error } of comparisons) {
+      if (verdict !== 'errored') continue;
+      console.log(`\n${name} errored: ${error.message}\n${error.log.join('\n') || '(no page output)'}`);
+    }
+
+    const results = serializeResults({ baseline, seed, comparisons, skipped, alpha });
+    if (values.json) {
+      writeResultsJson(values.json, results);
+      console.log(`Wrote results to ${values.json}`);
+    }
+    return results.regressionDetected || comparisons.some((row) => row.verdict === 'errored') ? 1 : 0;
+  } finally {
+    baseline.cleanup();
+  }
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (values.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (positionals[0] !== 'run' || positionals.length > 1) {
+    console.error(USAGE);
+    return 1;
+  }
+  setLogger(consoleLogger);
+  return runCommand(values);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(`pixi-bench: ${err.message}`);
+    process.exitCode = 1;
+  }
+);
@@ -0,0 +1,130 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { getMetric } from './metrics.js';
+
+/** Name of the optional per-benchmark config file, next to its `index.mjs`. */
+export const CONFIG_FILE = 'benchmark.json';
+
+const CONFIG_TYPES = {
+  metric: 'string',
+  tolerance: 'number',
+  minRuns: 'number',
+  maxRuns: 'number',
+  timeout: 'number',
+  viewport: 'object',
+  browserArgs: 'array',
+  skip: 'boolean|string',
+  params: 'object',
+  counts: 'array',
+  fixedTimestep: 'boolean',
+  tags: 'array',
+  warmup: 'number|string',
+  steadyState: 'boolean'
+};
+
+/**
+ * Parses a warmup length: a frame count (`30`) or a duration (`500ms`, `2s`).
+ *
+ * @param {number|string} value
+ * @param {string} source Where the value came from, for the error message.
+ * @returns {{ frames: number, time: number }} Minimum warmup frames and milliseconds.
+ */
+export function parseWarmup(value, source) {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s)?$/.exec(String(value).trim());
+  if (!match || (!match[2] && !Number.isInteger(Number(match[1])))) {
+    throw new Error(`Invalid warmup "${value}" in ${source}: expected a frame count or a duration such as 2s`);
+  }
+  const amount = Number(match[1]);
+  if (!match[2]) return { frames: amount, time: 0 };
+  return { frames: 0, time: match[2] === 's' ? amount * 1000 : amount };
+}
+
+function typeOf(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+function validateBenchmarkConfig(config, configPath) {
+  for (const [key, value] of Object.entries(config)) {
+    const expected = CONFIG_TYPES[key];
+    if (!expected) {
+      throw new Error(
+        `Unknown key "${key}" in ${configPath}. Expected any of: ${Object.keys(CONFIG_TYPES).join(', ')}`
+      );
+    }
+    if (!expected.split('|').includes(typeOf(value)) || value === null) {
+      throw new Error(`Invalid "${key}" in ${configPath}: expected ${expected.replace('|', ' or ')}`);
+    }
+  }
+  if (config.viewport && !(config.viewport.width > 0 && config.viewport.height > 0)) {
+    throw new Error(`Invalid "viewport" in ${configPath}: expected positive width and height`);
+  }
+  if (config.browserArgs && config.browserArgs.some((arg) => typeof arg !== 'string')) {
+    throw new Error(`Invalid "browserArgs" in ${configPath}: expected an array of strings`);
+  }
+  if (config.tags && config.tags.some((tag) => typeof tag !== 'string')) {
+    throw new Error(`Invalid "tags" in ${configPath}: expected an array of strings`);
+  }
+  for (const key of ['minRuns', 'maxRuns', 'timeout']) {
+    if (config[key] !== undefined && !(Number.isInteger(config[key]) && config[key] > 0)) {
+      throw new Error(`Invalid "${key}" in ${configPath}: expected a positive integer`);
+    }
+  }
+  if (config.warmup !== undefined) parseWarmup(config.warmup, configPath);
+  if (config.counts && (config.counts.length === 0 || config.counts.some((count) => !(count > 0)))) {
+    throw new Error(`Invalid "counts" in ${configPath}: expected a non-empty array of positive numbers`);
+  }
+}
+
+/**
+ * Reads the `benchmark.json` next to a benchmark's `index.mjs`, if any.
+ *
+ * @param {string} dir Benchmark folder.
+ * @returns {object} Parsed config, or an empty object when the file is absent.
+ */
+export function loadBenchmarkConfig(dir) {
+  const configPath = path.join(dir, CONFIG_FILE);
+  if (!fs.existsSync(configPath)) return {};
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid ${configPath}: ${err.message}`);
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`Invalid ${configPath}: expected a JSON object`);
+  }
+  validateBenchmarkConfig(config, configPath);
+  return config;
+}
+
+/**
+ * Merges a benchmark's config over the action-wide defaults.
+ *
+ * @param {object} config Result of {@link loadBenchmarkConfig}.
+ * @param {object} defaults Settings derived from the action inputs.
+ * @param {string} source Config location, for error messages.
+ * @returns {object} Settings for this benchmark; `browserArgs` are appended to the defaults.
+ */
+export function resolveBenchmarkSettings(config, defaults, source) {
+  const minRuns = Math.max(2, config.minRuns ?? defaults.minRuns);
+  const maxRuns = config.maxRuns ?? defaults.maxRuns;
+  if (maxRuns < minRuns) {
+    throw new Error(`Invalid "maxRuns" in ${source}: ${maxRuns} is fewer than the ${minRuns} minimum runs`);
+  }
+  return {
+    metric: config.metric ? getMetric(config.metric, source) : defaults.metric,
+    tolerance: config.tolerance ?? defaults.tolerance,
+    minRuns,
+    maxRuns,
+    timeout: config.timeout ?? defaults.timeout,
+    viewport: config.viewport,
+    browserArgs: [...defaults.browserArgs, ...(config.browserArgs ?? [])],
+    params: config.params ?? {},
+    counts: config.counts,
+    fixedTimestep: config.fixedTimestep ?? defaults.fixedTimestep,
+    warmup: config.warmup !== undefined ? parseWarmup(config.warmup, source) : defaults.warmup,
+    steadyState: config.steadyState ?? defaults.steadyState,
+    skip: config.skip ?? false
+  };
+}
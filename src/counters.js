@@ -0,0 +1,132 @@
+import { mean } from './stats.js';
+
+/** Renderer workload counters, counted per measured frame by the page instrumentation. */
+export const WORKLOAD_COUNTERS = {
+  drawCalls: { label: 'Draw calls' },
+  stateChanges: { label: 'State changes' },
+  textureUploads: { label: 'Texture uploads' },
+  bufferUploads: { label: 'Buffer uploads' }
+};
+
+/** Smallest per-frame change that counts, so an occasional extra call is not flagged. */
+const MIN_COUNT_DELTA = 0.5;
+
+/**
+ * Page init script that wraps the WebGL and WebGPU APIs to count the calls
+ * behind each counter into `window.__rendererCounters`. Runs in the page before
+ * any of its scripts, so it must be self-contained.
+ */
+export function instrumentRenderer() {
+  const counters = { drawCalls: 0, stateChanges: 0, textureUploads: 0, bufferUploads: 0 };
+  window.__rendererCounters = counters;
+
+  const webgl = {
+    drawCalls: ['drawArrays', 'drawElements', 'drawArraysInstanced', 'drawElementsInstanced', 'drawRangeElements'],
+    stateChanges: [
+      'useProgram',
+      'bindVertexArray',
+      'bindFramebuffer',
+      'bindRenderbuffer',
+      'bindTexture',
+      'bindBuffer',
+      'bindBufferBase',
+      'bindBufferRange',
+      'activeTexture',
+      'enable',
+      'disable',
+      'blendFunc',
+      'blendFuncSeparate',
+      'blendEquation',
+      'blendEquationSeparate',
+      'colorMask',
+      'depthFunc',
+      'depthMask',
+      'cullFace',
+      'frontFace',
+      'stencilFunc',
+      'stencilFuncSeparate',
+      'stencilOp',
+      'stencilOpSeparate',
+      'stencilMask',
+      'viewport',
+      'scissor',
+      'drawBuffers'
+    ],
+    textureUploads: [
+      'texImage2D',
+      'texSubImage2D',
+      'texImage3D',
+      'texSubImage3D',
+      'compressedTexImage2D',
+      'compressedTexSubImage2D',
+      'compressedTexImage3D',
+      'compressedTexSubImage3D'
+    ],
+    bufferUploads: ['bufferData', 'bufferSubData']
+  };
+
+  const webgpu = {
+    GPURenderPassEncoder: {
+      drawCalls: ['draw', 'drawIndexed', 'drawIndirect', 'drawIndexedIndirect'],
+      stateChanges: [
+        'setPipeline',
+        'setBindGroup',
+        'setVertexBuffer',
+        'setIndexBuffer',
+        'setViewport',
+        'setScissorRect',
+        'setBlendConstant',
+        'setStencilReference'
+      ]
+    },
+    GPUQueue: {
+      textureUploads: ['writeTexture', 'copyExternalImageToTexture'],
+      bufferUploads: ['writeBuffer']
+    }
+  };
+
+  const wrap = (prototype, methods, counter) => {
+    for (const method of methods) {
+      const original = prototype?.[method];
+      if (typeof original !== 'function') continue;
+      prototype[method] = function (...args) {
+        counters[counter]++;
+        return original.apply(this, args);
+      };
+    }
+  };
+
+  for (const context of [window.WebGLRenderingContext, window.WebGL2RenderingContext]) {
+    for (const [counter, methods] of Object.entries(webgl)) wrap(context?.prototype, methods, counter);
+  }
+  for (const [name, groups] of Object.entries(webgpu)) {
+    for (const [counter, methods] of Object.entries(groups)) wrap(window[name]?.prototype, methods, counter);
+  }
+}
+
+/**
+ * Compares the per-frame workload counters of both sides. The counts do not
+ * depend on timing, so instead of a significance test a counter regresses when
+ * local exceeds the baseline by more than `tolerance` percent and by at least
+ * half a call per frame. Null when some run did not report counters.
+ *
+ * @param {object[]} baselineRuns
+ * @param {object[]} localRuns
+ * @param {number} tolerance Percentage increase allowed before a counter regresses.
+ */
+export function compareWorkload(baselineRuns, localRuns, tolerance) {
+  if ([...baselineRuns, ...localRuns].some((run) => !run.counters)) return null;
+
+  const comparison = {};
+  for (const key of Object.keys(WORKLOAD_COUNTERS)) {
+    const baseline = mean(baselineRuns.map((run) => run.counters[key]));
+    const local = mean(localRuns.map((run) => run.counters[key]));
+    const delta = local - baseline;
+    const diffPercent = baseline > 0 ? (delta / baseline) * 100 : delta > 0 ? Infinity : 0;
+    let verdict = 'inconclusive';
+    if (diffPercent > tolerance && delta >= MIN_COUNT_DELTA) verdict = 'regression';
+    else if (diffPercent < -tolerance && -delta >= MIN_COUNT_DELTA) verdict = 'improvement';
+    comparison[key] = { baseline, local, diffPercent, verdict };
+  }
+  return comparison;
+}
@@ -0,0 +1,65 @@
+/**
+ * Built-in device profiles. CI runners are fast desktop machines, so the phone
+ * profiles slow the CPU down through the DevTools Protocol and render a small
+ * viewport at a high devicePixelRatio. `phone` matches Lighthouse's mobile
+ * emulation.
+ */
+export const DEVICE_PROFILES = {
+  desktop: { viewport: { width: 800, height: 600 }, deviceScaleFactor: 1, cpuThrottling: 1 },
+  phone: { viewport: { width: 412, height: 823 }, deviceScaleFactor: 1.75, cpuThrottling: 4 },
+  'low-end-phone': { viewport: { width: 360, height: 640 }, deviceScaleFactor: 2, cpuThrottling: 6 }
+};
+
+/** Parses one `<width>x<height>`, `dpr=<n>` or `cpu=<n>` token of a profile. */
+function parseProfileToken(token, name) {
+  const size = /^(\d+)x(\d+)$/.exec(token);
+  if (size) return { viewport: { width: Number(size[1]), height: Number(size[2]) } };
+  const [key, value] = token.split('=');
+  if (key === 'dpr' && Number(value) > 0) return { deviceScaleFactor: Number(value) };
+  if (key === 'cpu' && Number(value) >= 1) return { cpuThrottling: Number(value) };
+  throw new Error(
+    `Invalid "${token}" for ${name} in the device-profiles input: expected <width>x<height>, dpr=<n> or cpu=<n>`
+  );
+}
+
+/**
+ * Parses the comma- or newline-separated `device-profiles` input. Each entry is
+ * a built-in profile name, or a name followed by a colon and space-separated
+ * overrides, e.g. `low-end-phone: cpu=8` or `tablet: 1024x768 dpr=2 cpu=2`.
+ * Overrides apply to the built-in profile of the same name, or to `desktop`.
+ *
+ * @param {string} input
+ * @returns {{ name: string, viewport: { width: number, height: number }, deviceScaleFactor: number,
+ *   cpuThrottling: number }[]} In input order without duplicates.
+ */
+export function parseDeviceProfiles(input) {
+  const profiles = new Map();
+  for (const entry of input.split(/[,\n]/)) {
+    const separator = entry.indexOf(':');
+    const name = (separator < 0 ? entry : entry.slice(0, separator)).trim();
+    if (!name) continue;
+    const spec = separator < 0 ? '' : entry.slice(separator + 1);
+    const tokens = spec.split(/\s+/).filter(Boolean);
+    if (!DEVICE_PROFILES[name] && tokens.length === 0) {
+      throw new Error(
+        `Unknown device profile "${name}" in the device-profiles input. Expected any of: ${Object.keys(
+          DEVICE_PROFILES
+        ).join(', ')}, or a custom profile such as ${name}: 360x640 dpr=2 cpu=6`
+      );
+    }
+    const base = DEVICE_PROFILES[name] ?? DEVICE_PROFILES.desktop;
+    const overrides = tokens.map((token) => parseProfileToken(token, name));
+    profiles.set(name, Object.assign({ name }, base, ...overrides));
+  }
+  if (profiles.size === 0) throw new Error('The device-profiles input must list at least one profile');
+  return [...profiles.values()];
+}
+
+/**
+ * Slows the page's CPU down by `rate` (1 is no throttling). Chromium-only, as
+ * it goes through the DevTools Protocol.
+ */
+export async function throttleCpu(page, rate) {
+  const session = await page.context().newCDPSession(page);
+  await session.send('Emulation.setCPUThrottlingRate', { rate });
+}
@@ -0,0 +1,40 @@
+/** Number of page log lines kept per run, and shown for an errored benchmark. */
+const LOG_LINES = 30;
+
+/** A benchmark page that threw, crashed or never reported a result. */
+export class BenchmarkError extends Error {
+  /**
+   * @param {string} label Run label, e.g. "sprite [local] 2/10".
+   * @param {string} message
+   * @param {string[]} log Tail of the page's console and error output.
+   */
+  constructor(label, message, log) {
+    super(`${label}: ${message}`);
+    this.name = 'BenchmarkError';
+    this.label = label;
+    this.log = log;
+  }
+}
+
+/**
+ * Records a page's console messages, uncaught errors and crashes, keeping the
+ * last lines for error reports.
+ *
+ * @param {import('playwright').Page} page
+ */
+export function capturePageLog(page) {
+  const lines = [];
+  const push = (line) => {
+    lines.push(line);
+    if (lines.length > LOG_LINES) lines.shift();
+  };
+  const state = { lines, crashed: false };
+
+  page.on('console', (message) => push(`[${message.type()}] ${message.text()}`));
+  page.on('pageerror', (error) => push(`[pageerror] ${error.stack || error.message}`));
+  page.on('crash', () => {
+    state.crashed = true;
+    push('[crash] page crashed');
+  });
+  return state;
+}
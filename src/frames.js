@@ -0,0 +1,117 @@
+import { compareSamples, mean, percentile } from './stats.js';
+
+/** Frame-time percentiles reported for every benchmark. */
+export const FRAME_PERCENTILES = [50, 95, 99];
+
+/** Multiple of the interquartile range above the third quartile beyond which a frame is an outlier. */
+const OUTLIER_FENCE = 3;
+
+/** Largest share of a run's frames that can be trimmed as outliers. */
+const MAX_TRIMMED_SHARE = 0.01;
+
+/**
+ * Drops outlier frames: those longer than Q3 + 3 × IQR of the run (Tukey's
+ * "far out" fence), such as a frame that caught a GC pause or a stall on the
+ * runner. Only slow frames are dropped, and at most the longest 1% of frames,
+ * so that a build that is consistently slower on some frames cannot have them
+ * all trimmed away.
+ *
+ * @param {number[]} durations Frame durations in milliseconds.
+ * @returns {number[]} The remaining durations, in their original order.
+ */
+export function trimOutliers(durations) {
+  const q1 = percentile(durations, 25);
+  const q3 = percentile(durations, 75);
+  const fence = q3 + OUTLIER_FENCE * (q3 - q1);
+  const outliers = durations
+    .map((time, i) => ({ time, i }))
+    .filter(({ time }) => time > fence)
+    .sort((a, b) => b.time - a.time)
+    .slice(0, Math.floor(durations.length * MAX_TRIMMED_SHARE));
+  const trimmed = new Set(outliers.map(({ i }) => i));
+  return durations.filter((_, i) => !trimmed.has(i));
+}
+
+/**
+ * Summarizes the per-frame durations of one run. Percentiles and jank counts
+ * use every frame, since long frames are what they measure; the mean frame time
+ * (and the average FPS derived from it) leaves out outliers, see
+ * {@link trimOutliers}.
+ *
+ * @param {number[]} durations Frame durations in milliseconds.
+ * @param {number[]} budgets Frame budgets in milliseconds; frames longer than a budget count as jank.
+ * @returns {{ percentiles: Record<string, number>, jank: Record<string, number>, mean: number, trimmed: number } | null}
+ */
+export function computeFrameStats(durations, budgets) {
+  if (!Array.isArray(durations) || durations.length === 0) return null;
+
+  const percentiles = {};
+  for (const p of FRAME_PERCENTILES) percentiles[`p${p}`] = percentile(durations, p);
+
+  const jank = {};
+  for (const budget of budgets) jank[budget] = durations.filter((time) => time > budget).length;
+
+  const kept = trimOutliers(durations);
+  return { percentiles, jank, mean: mean(kept), trimmed: durations.length - kept.length };
+}
+
+/**
+ * Compares frame statistics across the runs of both sides. Percentiles get a
+ * verdict like the FPS comparison (lower is better); jank counts are only
+ * averaged, since a baseline of zero long frames has no meaningful relative delta.
+ *
+ * @param {Array<{ frameStats: ReturnType<typeof computeFrameStats> }>} baselineRuns
+ * @param {Array<{ frameStats: ReturnType<typeof computeFrameStats> }>} localRuns
+ * @param {number[]} budgets
+ * @param {{ alpha: number, minEffect: number }} options
+ */
+export function compareFrameStats(baselineRuns, localRuns, budgets, options) {
+  const baselineStats = baselineRuns.map((run) => run.frameStats);
+  const localStats = localRuns.map((run) => run.frameStats);
+  if (baselineStats.some((stats) => !stats) || localStats.some((stats) => !stats)) return null;
+
+  const percentiles = {};
+  for (const p of FRAME_PERCENTILES) {
+    const key = `p${p}`;
+    const baseline = baselineStats.map((stats) => stats.percentiles[key]);
+    const local = localStats.map((stats) => stats.percentiles[key]);
+    percentiles[key] = {
+      baseline: mean(baseline),
+      local: mean(local),
+      ...compareSamples(baseline, local, { ...options, higherIsBetter: false })
+    };
+  }
+
+  const jank = {};
+  for (const budget of budgets) {
+    jank[budget] = {
+      baseline: mean(baselineStats.map((stats) => stats.jank[budget])),
+      local: mean(localStats.map((stats) => stats.jank[budget]))
+    };
+  }
+
+  const trimmed = {
+    baseline: mean(baselineStats.map((stats) => stats.trimmed ?? 0)),
+    local: mean(localStats.map((stats) => stats.trimmed ?? 0))
+  };
+
+  return { percentiles, jank, trimmed };
+}
+
+/**
+ * Averages how long each side warmed up before measuring, from the `warmup`
+ * each run reports. Null when some run did not report one (an older `Engine`).
+ *
+ * @returns {{ baseline: object, local: object } | null} Per side, the mean warmup `frames` and `time` (ms), and
+ *   with steady-state detection the number of runs that never settled.
+ */
+export function summarizeWarmup(baselineRuns, localRuns) {
+  if ([...baselineRuns, ...localRuns].some((run) => !run.warmup)) return null;
+
+  const summarize = (runs) => ({
+    frames: mean(runs.map((run) => run.warmup.frames)),
+    time: mean(runs.map((run) => run.warmup.time)),
+    unsettled: runs.filter((run) => run.warmup.steady === false).length
+  });
+  return { baseline: summarize(baselineRuns), local: summarize(localRuns) };
+}
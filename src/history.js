@@ -0,0 +1,153 @@
+import * as core from '@actions/core';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { regressionPercent } from './stats.js';
+
+function git(args, options = {}) {
+  return execFileSync('git', args, { stdio: ['ignore', 'pipe', 'pipe'], ...options }).toString();
+}
+
+function parseHistory(text, source) {
+  const history = JSON.parse(text);
+  if (!Array.isArray(history)) throw new Error(`Invalid benchmark history in ${source}: expected an array`);
+  return history;
+}
+
+/** Fetches the history branch, returning false when it does not exist yet. */
+function fetchHistoryBranch(branch) {
+  try {
+    git(['fetch', '--depth=1', 'origin', `refs/heads/${branch}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Loads previous default-branch results.
+ *
+ * @param {object} options
+ * @param {string} options.file History file, relative to the branch root when `branch` is set.
+ * @param {string} [options.branch] Branch that stores the history; read from the working tree when empty.
+ * @returns {object[]} History entries, oldest first; empty when there is no history yet.
+ */
+export function loadHistory({ file, branch }) {
+  if (branch) {
+    if (!fetchHistoryBranch(branch)) return [];
+    let text;
+    try {
+      text = git(['show', `FETCH_HEAD:${file}`]);
+    } catch {
+      return [];
+    }
+    return parseHistory(text, `${branch}:${file}`);
+  }
+  if (!fs.existsSync(file)) return [];
+  return parseHistory(fs.readFileSync(file, 'utf8'), file);
+}
+
+/**
+ * Builds the history entry for this run.
+ *
+ * @param {object[]} comparisons
+ * @param {object} baseline Result of `resolveBaseline`.
+ * @param {object} context `github.context`.
+ */
+export function createHistoryEntry(comparisons, baseline, context) {
+  const cpus = os.cpus();
+  return {
+    sha: context.sha,
+    ref: context.ref,
+    timestamp: new Date().toISOString(),
+    runner: {
+      name: process.env.RUNNER_NAME,
+      os: process.env.RUNNER_OS ?? os.platform(),
+      arch: os.arch(),
+      cpu: cpus[0]?.model,
+      cores: cpus.length
+    },
+    baseline: baseline.description,
+    benchmarks: comparisons
+      .filter((row) => row.verdict !== 'errored')
+      .map((row) => ({
+        name: row.name,
+        metric: row.metric.name,
+        local: row.localResult,
+        baseline: row.baselineResult,
+        verdict: row.verdict
+      }))
+  };
+}
+
+function writeHistory(file, history, limit) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(history.slice(-limit), null, 2)}\n`);
+}
+
+/**
+ * Appends an entry to the history, keeping at most `limit` entries. With a
+ * branch, the file is committed and pushed from a temporary worktree so the
+ * checkout under test is left untouched.
+ */
+export function appendHistory({ file, branch, limit }, entry) {
+  if (!branch) {
+    writeHistory(file, [...loadHistory({ file }), entry], limit);
+    core.info(`Appended results to ${file}`);
+    return;
+  }
+
+  const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'pixi-history-'));
+  try {
+    if (fetchHistoryBranch(branch)) {
+      git(['worktree', 'add', '--detach', worktree, 'FETCH_HEAD']);
+    } else {
+      git(['worktree', 'add', '--detach', worktree]);
+      git(['checkout', '--orphan', branch], { cwd: worktree });
+      git(['rm', '-rf', '--quiet', '--ignore-unmatch', '.'], { cwd: worktree });
+    }
+
+    const target = path.join(worktree, file);
+    const history = fs.existsSync(target) ? parseHistory(fs.readFileSync(target, 'utf8'), `${branch}:${file}`) : [];
+    writeHistory(target, [...history, entry], limit);
+
+    git(['add', file], { cwd: worktree });
+    git(
+      [
+        '-c',
+        'user.name=github-actions[bot]',
+        '-c',
+        'user.email=41898282+github-actions[bot]@users.noreply.github.com',
+        'commit',
+        '-m',
+        `Add benchmark results for ${entry.sha?.slice(0, 7)}`
+      ],
+      { cwd: worktree }
+    );
+    git(['push', 'origin', `HEAD:refs/heads/${branch}`], { cwd: worktree });
+    core.info(`Pushed results to ${branch}:${file}`);
+  } finally {
+    try {
+      git(['worktree', 'remove', '--force', worktree]);
+    } catch {}
+  }
+}
+
+/**
+ * Compares a row's local result against the last `window` history entries for
+ * the same benchmark and metric.
+ *
+ * @returns {{ values: number[], diffPercent: number } | null} Historical means (oldest first) and how
+ *   much worse the current run is than their average; null without history.
+ */
+export function historyTrend(history, row, window) {
+  const values = history
+    .map((entry) => entry.benchmarks?.find((b) => b.name === row.name && b.metric === row.metric.name))
+    .filter(Boolean)
+    .map((b) => b.local.avg)
+    .slice(-window);
+  if (values.length === 0) return null;
+  const diffPercent = regressionPercent(row.metric.higherIsBetter)(values, [row.localResult.avg]);
+  return { values, diffPercent };
+}
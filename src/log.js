@@ -0,0 +1,35 @@
+import * as core from '@actions/core';
+
+/** Writes progress to the Actions log, grouping and annotating through workflow commands. */
+const actionsLogger = {
+  info: core.info,
+  warning: core.warning,
+  error: core.error,
+  startGroup: core.startGroup,
+  endGroup: core.endGroup
+};
+
+/** Writes progress as plain terminal lines, for the CLI. */
+export const consoleLogger = {
+  info: (message) => console.log(message),
+  warning: (message) => console.warn(`warning: ${message}`),
+  error: (message) => console.error(`error: ${message}`),
+  startGroup: (name) => console.log(`\n${name}`),
+  endGroup: () => {}
+};
+
+let logger = actionsLogger;
+
+/** Replaces where the shared benchmark code logs to; the action's log is the default. */
+export function setLogger(next) {
+  logger = next;
+}
+
+/** Progress logging used by code shared between the action and the CLI. */
+export const log = {
+  info: (message) => logger.info(message),
+  warning: (message) => logger.warning(message),
+  error: (message) => logger.error(message),
+  startGroup: (name) => logger.startGroup(name),
+  endGroup: () => logger.endGroup()
+};
@@ -1,265 +1,297 @@
 import * as core from '@actions/core';
 import * as github from '@actions/github';
 import { Octokit } from 'octokit';
-import { chromium } from 'playwright';
-import fs from 'node:fs';
 import path from 'node:path';
-import handler from 'serve-handler';
-import http from 'node:http';
-
-const REPEATS = 3;
+import { resolveBaseline } from './baseline.js';
+import { parseBrowsers } from './browsers.js';
+import { parseWarmup } from './config.js';
+import { parseDeviceProfiles } from './devices.js';
+import { appendHistory, createHistoryEntry, loadHistory } from './history.js';
+import { getMetric } from './metrics.js';
+import { parseShard } from './parallel.js';
+import { buildReport, COMMENT_MARKER } from './report.js';
+import { isRegression, mergeResultFiles, serializeResults, writeJUnit, writeResultsJson } from './results.js';
+import { parseRenderers } from './renderers.js';
+import { runSuite } from './runner.js';
+import { affectedTags, parseAffectedPaths, parsePatterns, wantsFullRun } from './select.js';
+
+/** Number of the PR the run is for, also when triggered by a comment on it. */
+function pullRequestNumber(context) {
+  const { pull_request: pullRequest, issue } = context.payload;
+  return pullRequest?.number ?? (issue?.pull_request ? issue.number : undefined);
+}
 
-function findIndexModules(dir, list = []) {
-  const entries = fs.readdirSync(dir);
-  for (const entry of entries) {
-    const fp = path.join(dir, entry);
-    const stat = fs.statSync(fp);
-    if (stat.isDirectory()) findIndexModules(fp, list);
-    else if (entry === 'index.mjs') list.push(fp);
-  }
-  return list;
+/**
+ * Reads a numeric input, falling back to `defaultValue` when it is empty.
+ *
+ * @param {string} name Input name.
+ * @param {number} defaultValue
+ * @param {(value: number) => boolean} isValid
+ * @param {string} expected What a valid value looks like, for the error message.
+ */
+function numberInput(name, defaultValue, isValid, expected) {
+  const input = core.getInput(name);
+  const value = input ? Number(input) : defaultValue;
+  if (!isValid(value)) throw new Error(`Invalid ${name} "${input}": expected ${expected}`);
+  return value;
 }
 
-function ensureBenchmarkHtmlTemplates(benchmarkRoot) {
-  core.startGroup('Ensure benchmark HTML pages');
-  const indexFiles = findIndexModules(benchmarkRoot);
-  if (indexFiles.length === 0) {
-    core.info('No index.mjs files found. Skipping.');
-    core.endGroup();
-    return;
-  }
+/** Validator for integer inputs of at least `min`. */
+function isIntegerFrom(min) {
+  return (value) => Number.isInteger(value) && value >= min;
+}
 
-  // local version
-  const localHTML = `<!doctype html>
-<html>
-<head>
-<meta charset="utf-8" />
-<title>PixiJS Benchmark - Local</title>
-<script type="importmap">
-{
-  "imports": { "pixi.js": "/dist/pixi.mjs" }
+/**
+ * Lists the files a PR changes, including the old paths of renamed files.
+ *
+ * @returns {Promise<string[]>}
+ */
+async function listChangedFiles(token, pullNumber) {
+  const octokit = new Octokit({ auth: token });
+  const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+    ...github.context.repo,
+    pull_number: pullNumber,
+    per_page: 100
+  });
+  return files.flatMap((file) => [file.filename, file.previous_filename].filter(Boolean));
 }
-</script>
-</head>
-<body>
-<script type="module" src="./index.mjs"></script>
-</body>
-</html>`;
 
-  // dev CDN version (fetching from jsDelivr 'dev' branch)
-  const devHTML = `<!doctype html>
-<html>
-<head>
-<meta charset="utf-8" />
-<title>PixiJS Benchmark - Dev CDN</title>
-<script type="importmap">
-{
-  "imports": { "pixi.js": "//cdn.jsdelivr.net/npm/pixi.js@dev/dist/pixi.mjs" }
+/**
+ * Works out which benchmark tags the PR's changes affect, for `affected-paths`.
+ *
+ * @returns {Promise<Set<string> | null>} Null when every benchmark should run.
+ */
+async function findAffectedTags(mappings, fullRun) {
+  const pullNumber = pullRequestNumber(github.context);
+  if (mappings.length === 0 || !pullNumber) return null;
+  if (wantsFullRun(github.context, fullRun)) {
+    core.info('Full benchmark run requested; ignoring affected-paths');
+    return null;
+  }
+  const token = process.env.GITHUB_TOKEN;
+  if (!token) {
+    core.warning('affected-paths needs GITHUB_TOKEN to list the changed files; running every benchmark');
+    return null;
+  }
+  const tags = affectedTags(await listChangedFiles(token, pullNumber), mappings);
+  core.info(`Changed files affect benchmark tags: ${[...tags].join(', ') || 'none'}`);
+  return tags;
 }
-</script>
-</head>
-<body>
-<script type="module" src="./index.mjs"></script>
-</body>
-</html>`;
 
-  for (const indexPath of indexFiles) {
-    const dir = path.dirname(indexPath);
-    const local = path.join(dir, 'local.html');
-    const dev = path.join(dir, 'dev.html');
+/**
+ * Writes the result files and outputs, and unless this is one shard of a
+ * sharded run, posts the PR comment, records history and fails the step on
+ * regressions or errors.
+ */
+async function publishResults(run, options) {
+  const { frameBudgets, memoryTolerance, workloadTolerance, historyOptions, historyWindow, shard } = options;
+  const { baseline, seed, comparisons, skipped, alpha } = run;
+  const token = process.env.GITHUB_TOKEN;
+
+  const results = serializeResults({ baseline, seed, comparisons, skipped, alpha, shard });
+  const { regressionDetected } = results;
+  const resultsPath = core.getInput('results-path') || 'benchmark-results.json';
+  writeResultsJson(resultsPath, results);
+  core.info(`Wrote results to ${resultsPath}`);
+  const junitPath = core.getInput('junit-path');
+  if (junitPath) {
+    writeJUnit(junitPath, results);
+    core.info(`Wrote JUnit report to ${junitPath}`);
+  }
+  core.setOutput('regression-detected', String(regressionDetected));
+  core.setOutput('results-json', JSON.stringify(results));
+  core.setOutput('results-path', path.resolve(resultsPath));
 
-    if (!fs.existsSync(local)) {
-      fs.writeFileSync(local, localHTML);
-      core.info(`Created ${local}`);
-    }
-    if (!fs.existsSync(dev)) {
-      fs.writeFileSync(dev, devHTML);
-      core.info(`Created ${dev}`);
-    }
+  if (shard) {
+    core.info(`Shard ${shard.index}/${shard.total} done; merge the shard results files to report.`);
+    return;
   }
-  core.endGroup();
-}
 
-async function runIsolatedBenchmark(url, label, browserArgs) {
-  const sampleFPS = [];
+  // a corrupt or unreadable history file only costs the trend column
+  let history = [];
+  try {
+    if (historyOptions.file) history = loadHistory(historyOptions);
+  } catch (err) {
+    core.warning(`Could not load benchmark history: ${err.message}`);
+  }
+  const body = buildReport({
+    baseline,
+    seed,
+    comparisons,
+    skipped,
+    alpha,
+    frameBudgets,
+    memoryTolerance,
+    workloadTolerance,
+    history,
+    historyWindow
+  });
 
-  for (let i = 0; i < REPEATS; i++) {
-    const browser = await chromium.launch({ headless: true, args: browserArgs });
+  const issueNumber = pullRequestNumber(github.context);
+  if (token && issueNumber) {
+    const octokit = new Octokit({ auth: token });
+    const { data: comments } = await octokit.rest.issues.listComments({
+      ...github.context.repo,
+      issue_number: issueNumber
+    });
+    const existing = comments.find((c) => c.body?.includes(COMMENT_MARKER));
+    if (existing) {
+      await octokit.rest.issues.updateComment({
+        ...github.context.repo,
+        comment_id: existing.id,
+        body
+      });
+      core.info('Updated existing benchmark comment.');
+    } else {
+      await octokit.rest.issues.createComment({
+        ...github.context.repo,
+        issue_number: issueNumber,
+        body
+      });
+      core.info('Posted new benchmark comment.');
+    }
+  }
+
+  const defaultBranch = github.context.payload.repository?.default_branch;
+  if (
+    historyOptions.file &&
+    github.context.eventName === 'push' &&
+    github.context.ref === `refs/heads/${defaultBranch}`
+  ) {
+    // e.g. a push rejected by a concurrent merge or branch protection; the measurement itself is fine
     try {
-      await runSingleBenchmark(browser, url, label, sampleFPS, i);
-    } finally {
-      try {
-        for (const context of browser.contexts()) {
-          await context.close().catch(() => {});
-        }
-        await browser.close();
-      } catch {
-        throw new Error('Failed to close browser');
-      }
+      appendHistory(historyOptions, createHistoryEntry(comparisons, baseline, github.context));
+    } catch (err) {
+      core.warning(`Could not record benchmark history: ${err.message}`);
     }
   }
-  const avg = sampleFPS.reduce((a, b) => a + b, 0) / sampleFPS.length;
-  const stddev = Math.sqrt(sampleFPS.reduce((s, n) => s + (n - avg) ** 2, 0) / sampleFPS.length);
-  return { avg, stddev, samples: sampleFPS };
-}
 
-async function runSingleBenchmark(browser, url, label, sampleFPS, i) {
-  const page = await browser.newPage();
-  await page.setViewportSize({ width: 800, height: 600 });
-  await page.goto(url, { waitUntil: 'load', timeout: 60_000 });
+  const failures = [];
+  if (regressionDetected) {
+    const names = comparisons.filter(isRegression).map((row) => row.name);
+    failures.push(
+      `Significant performance regression or visual mismatch against ${baseline.label} in: ${names.join(', ')}.`
+    );
+  }
+  const errored = comparisons.filter((row) => row.verdict === 'errored').map((row) => row.name);
+  if (errored.length > 0) failures.push(`Benchmarks errored: ${errored.join(', ')}.`);
 
-  core.info(`Measurement ${i + 1}/${REPEATS} for ${label}`);
-  await page.waitForFunction(() => window.benchmarkResult, {
-    timeout: 60_000
-  });
-  const result = await page.evaluate(() => window.benchmarkResult);
-  sampleFPS.push(result.fps);
-  await page.close();
+  if (failures.length > 0) {
+    core.setFailed(failures.join(' '));
+  } else {
+    core.info('✅ No significant regression detected.');
+  }
 }
 
 export async function run() {
-  let server;
-  let browser;
+  let baseline;
 
   try {
-    const benchmarkPath = core.getInput('benchmark-path');
-    const perfChange = Number(core.getInput('perf-change'));
-    const token = process.env.GITHUB_TOKEN;
-
-    const distPath = path.resolve('./dist');
-    if (!fs.existsSync(distPath)) throw new Error(`dist path not found: ${distPath}`);
-
-    const pixiPath = path.join(distPath, 'pixi.mjs');
-    if (!fs.existsSync(pixiPath)) throw new Error(`pixi.mjs not found in dist path: ${pixiPath}`);
-
-    core.startGroup('Start local server');
-    server = http.createServer((req, res) => handler(req, res, { public: '.' }));
-    await new Promise((resolve) => server.listen(8080, resolve));
-    core.endGroup();
-
-    const benchmarkFullPath = path.resolve(benchmarkPath);
-    ensureBenchmarkHtmlTemplates(benchmarkFullPath);
-
-    const indexFiles = findIndexModules(benchmarkFullPath);
-    if (indexFiles.length === 0) throw new Error('No index.mjs benchmark entrypoints found.');
-
-    const browserArgs = ['--use-gl=angle', '--disable-web-security'];
-
-    const comparisons = [];
-    core.startGroup('Run dev vs local benchmarks');
-
-    for (const indexFile of indexFiles) {
-      const dir = path.dirname(indexFile);
-      const relDir = path.relative(process.cwd(), dir).replace(/\\/g, '/');
-
-      const devURL = `http://localhost:8080/${relDir}/dev.html`;
-      const localURL = `http://localhost:8080/${relDir}/local.html`;
-      const name = path.basename(dir);
-
-      core.info(`Benchmark: ${name}`);
-
-      const devResult = await runIsolatedBenchmark(devURL, `${name} [dev]`, browserArgs);
-      const localResult = await runIsolatedBenchmark(localURL, `${name} [local]`, browserArgs);
-
-      const diffPercent = ((devResult.avg - localResult.avg) / devResult.avg) * 100;
-      // Scale allowed difference relative to an optimistic 60fps target.
-      // If dev FPS is lower than 60, tolerance increases proportionally.
-      // Example: base tolerance 5%, dev=30fps => allowed = 5 * (60/30) = 10%.
-      // If dev FPS is very low, guard against division by zero.
-      const effectiveDevFps = Math.max(devResult.avg, 1);
-      const allowedPercent = perfChange * (60 / effectiveDevFps);
-      const regression = diffPercent > allowedPercent;
-      const arrow = diffPercent > 0 ? '🔻' : '🔺';
-
-      comparisons.push({
-        name,
-        devResult,
-        localResult,
-        diffPercent,
-        regression,
-        arrow
-      });
-
-      core.info(
-        `${name} → dev: ${devResult.avg.toFixed(2)} fps, local: ${localResult.avg.toFixed(
-          2
-        )} fps, Δ=${diffPercent.toFixed(2)}%`
-      );
-    }
-
-    core.endGroup();
-
-    // build markdown output
-    const MARKER = '<!-- PIXIJS_BENCHMARK_COMMENT -->';
-    let body = `
-${MARKER}
-### PixiJS Benchmark Results (dev CDN vs local dist)
-| Name | dev Avg FPS | local Avg FPS | Δ% | Trend |
-|:-----|-------------:|--------------:|----:|:------:|
-`;
-
-    let regressionDetected = false;
-    for (const row of comparisons) {
-      const { name, devResult, localResult, diffPercent, regression, arrow } = row;
-      if (regression) regressionDetected = true;
-      body += `| ${name} | ${devResult.avg.toFixed(2)} | ${localResult.avg.toFixed(2)} | ${diffPercent.toFixed(
-        2
-      )}% | ${arrow} |\n`;
+    const frameBudgets = (core.getInput('frame-budgets') || '16.7, 33.3')
+      .split(',')
+      .map((budget) => Number(budget.trim()))
+      .filter((budget) => budget > 0);
+    const memoryTolerance = Number(core.getInput('memory-tolerance') || 10);
+    const workloadTolerance = Number(core.getInput('workload-tolerance') || 5);
+    const historyOptions = {
+      file: core.getInput('history-path'),
+      branch: core.getInput('history-branch'),
+      limit: Number(core.getInput('history-size') || 100)
+    };
+    const historyWindow = Number(core.getInput('history-window') || 10);
+    const reportOptions = { frameBudgets, memoryTolerance, workloadTolerance, historyOptions, historyWindow };
+
+    // the merge step of a sharded run only reports what the shards measured
+    const mergePath = core.getInput('merge-results');
+    if (mergePath) {
+      const merged = mergeResultFiles(mergePath);
+      core.info(`Merged ${merged.comparisons.length} benchmark results from ${mergePath}`);
+      await publishResults(merged, reportOptions);
+      return;
     }
 
-    body += `
-${
-  regressionDetected
-    ? `❌ Performance regression detected (> ${perfChange}% slower than dev)`
-    : '✅ Performance within acceptable range'
-}
-`;
-
-    if (token && github.context.payload.pull_request) {
-      const octokit = new Octokit({ auth: token });
-      const issueNumber = github.context.payload.pull_request.number;
-      const { data: comments } = await octokit.rest.issues.listComments({
-        ...github.context.repo,
-        issue_number: issueNumber
-      });
-      const existing = comments.find((c) => c.body?.includes(MARKER));
-      if (existing) {
-        await octokit.rest.issues.updateComment({
-          ...github.context.repo,
-          comment_id: existing.id,
-          body
-        });
-        core.info('Updated existing benchmark comment.');
-      } else {
-        await octokit.rest.issues.createComment({
-          ...github.context.repo,
-          issue_number: issueNumber,
-          body
-        });
-        core.info('Posted new benchmark comment.');
+    const benchmarkPath = core.getInput('benchmark-path');
+    if (!benchmarkPath) throw new Error('benchmark-path is required unless merge-results is set');
+    const perfChange = numberInput('perf-change', 3, (value) => value >= 0, 'a non-negative percentage');
+    const defaultMetric = getMetric(core.getInput('metric') || 'avgFps', 'the metric input');
+    const alpha = numberInput('significance', 0.05, (value) => value > 0 && value < 1, 'a number between 0 and 1');
+    // the t-test needs at least two samples per side
+    const minRuns = numberInput('min-runs', 3, isIntegerFrom(2), 'an integer of 2 or more');
+    const maxRuns = numberInput('max-runs', 10, isIntegerFrom(minRuns), `an integer of at least min-runs (${minRuns})`);
+    const targetCi = numberInput('target-ci', 2, (value) => value >= 0, 'a non-negative percentage');
+    const renderers = parseRenderers(core.getInput('renderers') || 'webgl');
+    const browsers = parseBrowsers(core.getInput('browsers') || 'chromium');
+    const devices = parseDeviceProfiles(core.getInput('device-profiles') || 'desktop');
+    const seed = numberInput('seed', 1, Number.isInteger, 'an integer');
+    const concurrency = numberInput('concurrency', 1, isIntegerFrom(1), 'a positive integer');
+    const shard = parseShard(core.getInput('shard'));
+    const profileRegressions = core.getInput('profile-regressions') !== 'false';
+    const profileDir = core.getInput('profile-dir') || 'benchmark-profiles';
+    const visualOptions = {
+      snapshotDir: core.getInput('snapshot-dir') || 'benchmark-snapshots',
+      tolerance: Number(core.getInput('visual-tolerance') || 1)
+    };
+    const selection = {
+      include: parsePatterns(core.getInput('include')),
+      exclude: parsePatterns(core.getInput('exclude'))
+    };
+    const fullRun = {
+      label: core.getInput('full-run-label') || 'benchmark: full',
+      command: core.getInput('full-run-command') || '/benchmark full'
+    };
+    const affected = await findAffectedTags(parseAffectedPaths(core.getInput('affected-paths')), fullRun);
+    const assetsPath = path.resolve(core.getInput('assets-path') || path.join(benchmarkPath, 'assets'));
+
+    baseline = resolveBaseline({
+      baselinePath: core.getInput('baseline-path'),
+      baselineRef: core.getInput('baseline-ref'),
+      buildCommand: core.getInput('baseline-build-command')
+    });
+    core.info(`Baseline: ${baseline.description}`);
+
+    const { comparisons, skipped } = await runSuite({
+      benchmarkPath,
+      candidatePath: path.resolve('./dist'),
+      baseline,
+      assetsPath,
+      defaults: {
+        metric: defaultMetric,
+        tolerance: perfChange,
+        minRuns,
+        maxRuns,
+        timeout: 60_000,
+        browserArgs: [],
+        fixedTimestep: core.getInput('fixed-timestep') === 'true',
+        warmup: core.getInput('warmup') ? parseWarmup(core.getInput('warmup'), 'the warmup input') : null,
+        steadyState: core.getInput('steady-state') === 'true'
+      },
+      browsers,
+      renderers,
+      devices,
+      seed,
+      selection,
+      affected: affected && {
+        tags: affected,
+        reason: `not affected by this change; label the PR "${fullRun.label}" to run it`
+      },
+      shard,
+      concurrency,
+      measure: {
+        targetCi,
+        alpha,
+        frameBudgets,
+        memoryTolerance,
+        workloadTolerance,
+        visualOptions,
+        profileRegressions,
+        profileDir
       }
-    }
+    });
 
-    if (regressionDetected) {
-      core.setFailed(`Performance regression > ${perfChange}% slower than dev.`);
-    } else {
-      core.info('✅ No significant regression detected.');
-    }
+    await publishResults({ baseline, seed, comparisons, skipped, alpha }, { ...reportOptions, shard });
   } catch (err) {
     core.setFailed(err.message);
   } finally {
-    if (browser) {
-      try {
-        for (const context of browser.contexts()) {
-          await context.close().catch(() => {});
-        }
-        await browser.close();
-      } catch {}
-    }
-    if (server) {
-      try {
-        await new Promise((r) => server.close(r));
-      } catch {}
-    }
+    baseline?.cleanup();
   }
 }
@@ -0,0 +1,121 @@
+import { compareSamples, mean } from './stats.js';
+
+/**
+ * Memory metrics collected per run, all lower-is-better. `minDelta` is the
+ * smallest absolute change per run that counts, since GC counts and pauses are
+ * small and often zero, where one extra collection is a large percentage.
+ */
+export const MEMORY_METRICS = {
+  heapUsed: { label: 'Heap used', unit: 'MB' },
+  heapRetained: { label: 'Heap retained', unit: 'MB' },
+  gcCount: { label: 'GC count', unit: '', minDelta: 2 },
+  gcTime: { label: 'GC time', unit: 'ms', minDelta: 2 }
+};
+
+const GC_EVENTS = new Set(['MinorGC', 'MajorGC']);
+
+const MB = 1024 * 1024;
+
+async function readStream(session, handle) {
+  let data = '';
+  for (;;) {
+    const chunk = await session.send('IO.read', { handle });
+    data += chunk.base64Encoded ? Buffer.from(chunk.data, 'base64').toString() : chunk.data;
+    if (chunk.eof) break;
+  }
+  await session.send('IO.close', { handle });
+  return data;
+}
+
+async function heapUsed(session) {
+  const { metrics } = await session.send('Performance.getMetrics');
+  return metrics.find((metric) => metric.name === 'JSHeapUsedSize').value / MB;
+}
+
+/** Counts GC events and sums their duration (ms) from Chrome trace events. */
+export function summarizeGcEvents(traceEvents) {
+  let gcCount = 0;
+  let gcTime = 0;
+  const open = new Map();
+  for (const event of traceEvents) {
+    if (!GC_EVENTS.has(event.name)) continue;
+    if (event.ph === 'X') {
+      gcCount++;
+      gcTime += (event.dur ?? 0) / 1000;
+    } else if (event.ph === 'B') {
+      open.set(`${event.tid}:${event.name}`, event.ts);
+    } else if (event.ph === 'E') {
+      const key = `${event.tid}:${event.name}`;
+      if (!open.has(key)) continue;
+      gcCount++;
+      gcTime += (event.ts - open.get(key)) / 1000;
+      open.delete(key);
+    }
+  }
+  return { gcCount, gcTime };
+}
+
+/**
+ * Starts collecting memory metrics for a page through CDP; call before
+ * navigating. `stop()` resolves with JS heap usage at the end of the run, the
+ * heap still retained after a forced GC (a leak indicator, since benchmarks
+ * destroy their application before reporting) and GC count and pause time.
+ *
+ * The probe runs alongside the measured frames, so the trace only records V8's
+ * own category, which holds Blink's `MinorGC`/`MajorGC` events, and leaves out
+ * `devtools.timeline` with its per-task and per-call events.
+ *
+ * @param {import('playwright').Page} page
+ */
+export async function startMemoryProbe(page) {
+  const session = await page.context().newCDPSession(page);
+  await session.send('Performance.enable');
+  await session.send('Tracing.start', {
+    traceConfig: { includedCategories: ['v8'] },
+    transferMode: 'ReturnAsStream'
+  });
+
+  return {
+    async stop() {
+      const used = await heapUsed(session);
+      await session.send('HeapProfiler.collectGarbage');
+      const retained = await heapUsed(session);
+
+      const complete = new Promise((resolve) => session.once('Tracing.tracingComplete', resolve));
+      await session.send('Tracing.end');
+      const { stream } = await complete;
+      const { traceEvents = [] } = JSON.parse(await readStream(session, stream));
+      await session.detach();
+
+      return { heapUsed: used, heapRetained: retained, ...summarizeGcEvents(traceEvents) };
+    }
+  };
+}
+
+/**
+ * Compares the memory metrics of both sides with their own tolerance. A change
+ * smaller than the metric's `minDelta` stays inconclusive however significant.
+ * Rows without memory data on every run (for example from an older action) are
+ * skipped.
+ *
+ * @param {object[]} baselineRuns
+ * @param {object[]} localRuns
+ * @param {{ alpha: number, minEffect: number }} options
+ */
+export function compareMemory(baselineRuns, localRuns, options) {
+  if ([...baselineRuns, ...localRuns].some((run) => !run.memory)) return null;
+
+  const comparison = {};
+  for (const [key, { minDelta = 0 }] of Object.entries(MEMORY_METRICS)) {
+    const baseline = baselineRuns.map((run) => run.memory[key]);
+    const local = localRuns.map((run) => run.memory[key]);
+    const row = {
+      baseline: mean(baseline),
+      local: mean(local),
+      ...compareSamples(baseline, local, { ...options, higherIsBetter: false })
+    };
+    if (Math.abs(row.local - row.baseline) < minDelta) row.verdict = 'inconclusive';
+    comparison[key] = row;
+  }
+  return comparison;
+}
@@ -0,0 +1,87 @@
+import { startupTime } from './phases.js';
+
+/**
+ * Metrics a benchmark can be gated on. `extract` reads the value from one run's
+ * `window.benchmarkResult` (with `frameStats` attached by the action). The
+ * averages use the frame times left after trimming outliers. `cdp` metrics come
+ * from the DevTools Protocol, which only Chromium reports.
+ */
+export const METRICS = {
+  avgFps: {
+    label: 'Avg FPS',
+    unit: 'fps',
+    higherIsBetter: true,
+    extract: (result) => (result.frameStats ? 1000 / result.frameStats.mean : result.avgFps)
+  },
+  fps: {
+    label: 'Smoothed FPS',
+    unit: 'fps',
+    higherIsBetter: true,
+    extract: (result) => result.fps
+  },
+  minFps: {
+    label: 'Min FPS',
+    unit: 'fps',
+    higherIsBetter: true,
+    extract: (result) => result.minFps
+  },
+  avgFrameTime: {
+    label: 'Avg frame time',
+    unit: 'ms',
+    higherIsBetter: false,
+    extract: (result) => result.frameStats?.mean ?? result.avgFrameTime
+  },
+  p50FrameTime: {
+    label: 'p50 frame time',
+    unit: 'ms',
+    higherIsBetter: false,
+    extract: (result) => result.frameStats?.percentiles.p50
+  },
+  p95FrameTime: {
+    label: 'p95 frame time',
+    unit: 'ms',
+    higherIsBetter: false,
+    extract: (result) => result.frameStats?.percentiles.p95
+  },
+  p99FrameTime: {
+    label: 'p99 frame time',
+    unit: 'ms',
+    higherIsBetter: false,
+    extract: (result) => result.frameStats?.percentiles.p99
+  },
+  startupTime: {
+    label: 'Startup time',
+    unit: 'ms',
+    higherIsBetter: false,
+    extract: (result) => startupTime(result.phases)
+  },
+  heapRetained: {
+    label: 'Heap retained',
+    unit: 'MB',
+    higherIsBetter: false,
+    cdp: true,
+    extract: (result) => result.memory?.heapRetained
+  },
+  gcTime: {
+    label: 'GC time',
+    unit: 'ms',
+    higherIsBetter: false,
+    cdp: true,
+    extract: (result) => result.memory?.gcTime
+  }
+};
+
+/**
+ * Looks up a metric by name.
+ *
+ * @param {string} name
+ * @param {string} source Where the name came from, for the error message.
+ * @returns {{ name: string, label: string, unit: string, higherIsBetter: boolean, extract: (result: object) => number }}
+ */
+export function getMetric(name, source) {
+  const metric = METRICS[name];
+  if (!metric) {
+    throw new Error(`Unknown metric "${name}" in ${source}. Expected one of: ${Object.keys(METRICS).join(', ')}`);
+  }
+  return { name, ...metric };
+}
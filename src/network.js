@@ -0,0 +1,46 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/**
+ * Routes every request a benchmark page makes. Requests to an allowed origin
+ * (the local server, and the baseline CDN when one is used) go through; any
+ * other request is answered from the assets folder when it holds a file with
+ * the same name, and aborted otherwise, so a benchmark can never wait on the
+ * network.
+ *
+ * @param {import('playwright').Page} page
+ * @param {object} options
+ * @param {string[]} options.allowedOrigins
+ * @param {string} [options.assetsDir] Folder external assets are redirected to.
+ * @returns {Promise<{ url: string, action: 'redirected' | 'blocked' }[]>} Live list of external requests.
+ */
+export async function guardNetwork(page, { allowedOrigins, assetsDir }) {
+  const attempts = [];
+  await page.route('**/*', async (route) => {
+    const url = route.request().url();
+    const { origin, pathname, protocol } = new URL(url);
+    if (allowedOrigins.includes(origin) || protocol === 'data:' || protocol === 'blob:') {
+      return route.continue();
+    }
+
+    const asset = assetsDir && path.join(assetsDir, path.posix.basename(pathname));
+    if (asset && fs.existsSync(asset) && fs.statSync(asset).isFile()) {
+      attempts.push({ url, action: 'redirected' });
+      return route.fulfill({ path: asset });
+    }
+    attempts.push({ url, action: 'blocked' });
+    return route.abort('blockedbyclient');
+  });
+  return attempts;
+}
+
+/**
+ * Collects the distinct external requests made across runs.
+ *
+ * @param {object[]} runs Benchmark results with the `network` attempts of each run.
+ */
+export function collectNetworkAttempts(runs) {
+  const attempts = new Map();
+  for (const { url, action } of runs.flatMap((run) => run.network ?? [])) attempts.set(url, { url, action });
+  return [...attempts.values()];
+}
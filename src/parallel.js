@@ -0,0 +1,107 @@
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/**
+ * Parses the `shard` input, e.g. "2/4" for the second of four shards.
+ *
+ * @param {string} input
+ * @returns {{ index: number, total: number } | null} Null when not sharding.
+ */
+export function parseShard(input) {
+  if (!input) return null;
+  const match = /^(\d+)\s*\/\s*(\d+)$/.exec(input.trim());
+  const index = Number(match?.[1]);
+  const total = Number(match?.[2]);
+  if (!match || index < 1 || index > total) {
+    throw new Error(`Invalid shard "${input}": expected <index>/<total>, e.g. 2/4`);
+  }
+  return { index, total };
+}
+
+/** Whether browsers can be pinned to cores with `taskset` (Linux only). */
+export function canPinCores() {
+  if (os.platform() !== 'linux') return false;
+  try {
+    execFileSync('taskset', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Splits the runner's cores into one disjoint set per concurrent slot. With
+ * more slots than cores, slots share cores round-robin.
+ *
+ * @param {number} slots
+ * @returns {number[][]}
+ */
+export function assignCores(slots) {
+  const cores = os.cpus().length;
+  const perSlot = Math.max(1, Math.floor(cores / slots));
+  return Array.from({ length: slots }, (_, slot) =>
+    Array.from({ length: perSlot }, (_, i) => (slot * perSlot + i) % cores)
+  );
+}
+
+const wrappers = new Map();
+
+/**
+ * Returns a launcher script that starts `executable` through `taskset`, for
+ * Playwright's `executablePath`. Processes the browser spawns inherit the
+ * affinity, so the whole browser stays on `cores`.
+ *
+ * @param {string} executable Browser executable Playwright would launch.
+ * @param {number[]} cores
+ */
+export function pinnedExecutable(executable, cores) {
+  const key = `${executable}@${cores.join(',')}`;
+  if (!wrappers.has(key)) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixi-pinned-'));
+    const script = path.join(dir, path.basename(executable));
+    fs.writeFileSync(script, `#!/bin/sh\nexec taskset -c ${cores.join(',')} "${executable}" "$@"\n`, { mode: 0o755 });
+    wrappers.set(key, script);
+  }
+  return wrappers.get(key);
+}
+
+/** Deletes the launcher scripts written by {@link pinnedExecutable}. */
+export function removePinnedExecutables() {
+  for (const script of wrappers.values()) fs.rmSync(path.dirname(script), { recursive: true, force: true });
+  wrappers.clear();
+}
+
+/**
+ * Runs `worker` over `items` with at most `concurrency` in flight, each worker
+ * keeping its slot index for the whole run. When a worker throws, no further
+ * items start and the pool rejects with that error once the others in flight
+ * have settled.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, slot: number) => Promise<R>} worker
+ * @returns {Promise<R[]>} Results in the order of `items`.
+ */
+export async function runPool(items, concurrency, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failed = false;
+  const slots = Array.from({ length: Math.min(concurrency, items.length) }, async (_, slot) => {
+    while (next < items.length && !failed) {
+      const i = next++;
+      try {
+        results[i] = await worker(items[i], slot);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  });
+  // callers tear down what the workers use once this returns, so wait for every slot
+  const rejected = (await Promise.allSettled(slots)).find((outcome) => outcome.status === 'rejected');
+  if (rejected) throw rejected.reason;
+  return results;
+}
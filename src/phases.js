@@ -0,0 +1,47 @@
+import { compareSamples, mean } from './stats.js';
+
+/** Name of the mark that ends start-up; everything up to it counts towards `startupTime`. */
+export const STARTUP_END = 'firstFrame';
+
+/**
+ * Sums the phases up to and including the first rendered frame.
+ *
+ * @param {{ name: string, duration: number }[]} [phases] Phases reported by `Engine#getPhases`.
+ * @returns {number | undefined}
+ */
+export function startupTime(phases) {
+  if (!phases) return undefined;
+  const end = phases.findIndex((phase) => phase.name === STARTUP_END);
+  if (end === -1) return undefined;
+  return phases.slice(0, end + 1).reduce((sum, phase) => sum + phase.duration, 0);
+}
+
+/**
+ * Compares every phase that all runs of both sides reported, in the order the
+ * local benchmark marked them. Durations are lower-is-better.
+ *
+ * @param {object[]} baselineRuns
+ * @param {object[]} localRuns
+ * @param {{ alpha: number, minEffect: number }} options
+ * @returns {object[] | null} One comparison per phase, or null when no run reported phases.
+ */
+export function comparePhases(baselineRuns, localRuns, options) {
+  const runs = [...baselineRuns, ...localRuns];
+  if (runs.some((run) => !run.phases)) return null;
+
+  const durations = (run, name) => run.phases.find((phase) => phase.name === name)?.duration;
+  const names = localRuns[0].phases
+    .map((phase) => phase.name)
+    .filter((name) => runs.every((run) => durations(run, name) !== undefined));
+
+  return names.map((name) => {
+    const baseline = baselineRuns.map((run) => durations(run, name));
+    const local = localRuns.map((run) => durations(run, name));
+    return {
+      name,
+      baseline: mean(baseline),
+      local: mean(local),
+      ...compareSamples(baseline, local, { ...options, higherIsBetter: false })
+    };
+  });
+}
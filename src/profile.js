@@ -0,0 +1,95 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/** Number of hottest functions reported per profiled benchmark. */
+const TOP_FUNCTIONS = 15;
+
+/** Profiler nodes that are not JS work. */
+const IGNORED_NODES = new Set(['(root)', '(idle)']);
+
+/** Turns a row name such as "sprite ×10k" into a file-name friendly slug. */
+export function slugify(name) {
+  return name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Aggregates a CDP CPU profile into self time per function, keyed by function
+ * name and script file name so the same function can be matched across the
+ * baseline and local builds, whose URLs and line numbers differ.
+ *
+ * @param {object} profile `Profiler.stop` result profile.
+ * @returns {{ key: string, functionName: string, file: string, selfTime: number }[]} Sorted by self time (ms), descending.
+ */
+export function summarizeCpuProfile(profile) {
+  const nodes = new Map(profile.nodes.map((node) => [node.id, node]));
+  const totals = new Map();
+
+  profile.samples.forEach((id, i) => {
+    const node = nodes.get(id);
+    const { functionName, url } = node.callFrame;
+    const name = functionName || '(anonymous)';
+    if (IGNORED_NODES.has(name)) return;
+
+    const file = url ? path.posix.basename(new URL(url, 'http://localhost').pathname) : '';
+    const key = `${name}@${file}`;
+    const entry = totals.get(key) ?? { key, functionName: name, file, selfTime: 0 };
+    entry.selfTime += (profile.timeDeltas[i] ?? 0) / 1000;
+    totals.set(key, entry);
+  });
+
+  return [...totals.values()].sort((a, b) => b.selfTime - a.selfTime);
+}
+
+/**
+ * Creates a profiler for one benchmark page. It records a Chrome trace and a
+ * CDP CPU profile for the whole page run, written next to `outputBase`.
+ *
+ * @param {string} outputBase Path prefix for the `.trace.json` and `.cpuprofile` files.
+ */
+export function createProfiler(outputBase) {
+  const tracePath = `${outputBase}.trace.json`;
+  const profilePath = `${outputBase}.cpuprofile`;
+  let session;
+
+  return {
+    async start(browser, page) {
+      fs.mkdirSync(path.dirname(path.resolve(outputBase)), { recursive: true });
+      await browser.startTracing(page, { path: tracePath, screenshots: false });
+      session = await page.context().newCDPSession(page);
+      await session.send('Profiler.enable');
+      await session.send('Profiler.start');
+    },
+
+    async stop(browser) {
+      const { profile } = await session.send('Profiler.stop');
+      await browser.stopTracing();
+      fs.writeFileSync(profilePath, JSON.stringify(profile));
+      return { tracePath, profilePath, functions: summarizeCpuProfile(profile) };
+    }
+  };
+}
+
+/**
+ * Lines up the hottest functions of both sides, ordered by local self time, so
+ * the report can show where the extra time went.
+ *
+ * @returns {{ functionName: string, file: string, baseline: number, local: number, delta: number }[]}
+ */
+export function compareHotspots(baselineFunctions, localFunctions) {
+  const baselineByKey = new Map(baselineFunctions.map((fn) => [fn.key, fn]));
+  const localByKey = new Map(localFunctions.map((fn) => [fn.key, fn]));
+  const keys = new Set([...localByKey.keys(), ...baselineByKey.keys()]);
+
+  return [...keys]
+    .map((key) => {
+      const { functionName, file } = localByKey.get(key) ?? baselineByKey.get(key);
+      const baseline = baselineByKey.get(key)?.selfTime ?? 0;
+      const local = localByKey.get(key)?.selfTime ?? 0;
+      return { functionName, file, baseline, local, delta: local - baseline };
+    })
+    .sort((a, b) => b.local - a.local)
+    .slice(0, TOP_FUNCTIONS);
+}
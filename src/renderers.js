@@ -0,0 +1,53 @@
+/**
+ * Renderer preferences a benchmark can be run with, passed to the page as the
+ * `renderer` param and on to `app.init({ preference })`. Headless runners have
+ * no GPU, so in Chromium WebGPU runs on Dawn's SwiftShader (Vulkan) software
+ * adapter; Firefox only needs it enabled.
+ */
+export const RENDERERS = {
+  webgl: { label: 'WebGL', browserArgs: [] },
+  webgpu: {
+    label: 'WebGPU',
+    firefoxUserPrefs: { 'dom.webgpu.enabled': true },
+    browserArgs: [
+      '--enable-unsafe-webgpu',
+      '--enable-features=Vulkan',
+      '--use-vulkan=swiftshader',
+      '--use-webgpu-adapter=swiftshader'
+    ]
+  }
+};
+
+/** Preferences PixiJS accepts but cannot render with yet, and why. */
+const UNSUPPORTED_RENDERERS = {
+  canvas: 'PixiJS v8 has no canvas renderer yet (app.init throws for preference "canvas")'
+};
+
+/**
+ * Parses the comma-separated `renderers` input.
+ *
+ * @param {string} input
+ * @returns {string[]} Renderer names, in input order without duplicates.
+ */
+export function parseRenderers(input) {
+  const names = [
+    ...new Set(
+      input
+        .split(',')
+        .map((name) => name.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  ];
+  for (const name of names) {
+    if (UNSUPPORTED_RENDERERS[name]) {
+      throw new Error(`Unsupported renderer "${name}" in the renderers input: ${UNSUPPORTED_RENDERERS[name]}`);
+    }
+    if (!RENDERERS[name]) {
+      throw new Error(
+        `Unknown renderer "${name}" in the renderers input. Expected any of: ${Object.keys(RENDERERS).join(', ')}`
+      );
+    }
+  }
+  if (names.length === 0) throw new Error('The renderers input must list at least one renderer');
+  return names;
+}
@@ -0,0 +1,506 @@
+import { FRAME_PERCENTILES } from './frames.js';
+import { historyTrend } from './history.js';
+import { MEMORY_METRICS } from './memory.js';
+import { WORKLOAD_COUNTERS } from './counters.js';
+import { BROWSERS } from './browsers.js';
+import { RENDERERS } from './renderers.js';
+
+/** Hidden marker used to find and update the action's previous PR comment. */
+export const COMMENT_MARKER = '<!-- PIXIJS_BENCHMARK_COMMENT -->';
+
+const VERDICT_LABELS = {
+  regression: '🔻 regression',
+  improvement: '🔺 improvement',
+  inconclusive: '➖ inconclusive',
+  errored: '💥 errored'
+};
+
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+export function formatSamples(result, metric) {
+  return `${result.avg.toFixed(2)} ± ${result.stddev.toFixed(2)} ${metric.unit}`;
+}
+
+/** Formats an object count compactly, e.g. 50000 → "50k". */
+export function formatCount(count) {
+  if (count >= 1_000_000) return `${+(count / 1_000_000).toFixed(1)}M`;
+  if (count >= 1_000) return `${+(count / 1_000).toFixed(1)}k`;
+  return `${count}`;
+}
+
+function formatChange({ baseline, local, diffPercent, verdict }, digits) {
+  const marker = verdict === 'inconclusive' ? '' : ` ${VERDICT_LABELS[verdict].split(' ')[0]}`;
+  const change = Number.isFinite(diffPercent) ? `${diffPercent > 0 ? '+' : ''}${diffPercent.toFixed(1)}%` : 'new';
+  return `${baseline.toFixed(digits)} → ${local.toFixed(digits)} (${change}${marker})`;
+}
+
+export function formatInterval([low, high]) {
+  if (!Number.isFinite(low) || !Number.isFinite(high)) return 'n/a';
+  return `${low.toFixed(1)}% … ${high.toFixed(1)}%`;
+}
+
+/** Renders several series as sparklines on a shared scale so they can be compared by eye. */
+function sparklines(series) {
+  const values = series.flat();
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return series.map((points) =>
+    points
+      .map((value) => SPARK_CHARS[range > 0 ? Math.round(((value - min) / range) * (SPARK_CHARS.length - 1)) : 0])
+      .join('')
+  );
+}
+
+function formatTrend(trend, row) {
+  if (!trend) return 'n/a';
+  const [curve] = sparklines([[...trend.values, row.localResult.avg]]);
+  const sign = trend.diffPercent > 0 ? '+' : '';
+  return `\`${curve}\` ${sign}${trend.diffPercent.toFixed(1)}%`;
+}
+
+/** Confidence level of the delta's interval for a significance level, e.g. "95%" for 0.05. */
+export function confidenceLabel(alpha) {
+  return `${Math.round((1 - alpha) * 100)}%`;
+}
+
+function renderSummary(comparisons, { baseline, alpha, history, historyWindow }) {
+  const showTrend = history.length > 0;
+  const trendHeader = showTrend ? ` vs last ${historyWindow} main |` : '';
+  const trendAlign = showTrend ? ':-----:|' : '';
+  let body = `
+| Name | Metric | ${baseline.label} | local | Δ% | ${confidenceLabel(alpha)} CI | p | Runs | Tolerance | Verdict |${trendHeader}
+|:-----|:-------|-------------:|--------------:|----:|:-----:|----:|----:|----:|:------:|${trendAlign}
+`;
+  for (const row of comparisons) {
+    const { name, metric, tolerance, baselineResult, localResult, runs, diffPercent, ci, pValue, verdict } = row;
+    if (verdict === 'errored') {
+      const missing = Array(6).fill('n/a');
+      const cells = [name, metric.label, ...missing, `${tolerance}%`, VERDICT_LABELS[verdict]];
+      if (showTrend) cells.push('n/a');
+      body += `| ${cells.join(' | ')} |\n`;
+      continue;
+    }
+    const cells = [
+      name,
+      metric.label,
+      formatSamples(baselineResult, metric),
+      formatSamples(localResult, metric),
+      `${diffPercent.toFixed(2)}%`,
+      formatInterval(ci),
+      pValue.toFixed(3),
+      runs,
+      `${tolerance}%`,
+      [
+        VERDICT_LABELS[verdict],
+        row.memoryVerdict === 'regression' && '🔻 memory',
+        row.workloadVerdict === 'regression' && '🔻 workload',
+        row.visual?.mismatch && '🖼️ visual mismatch'
+      ]
+        .filter(Boolean)
+        .join(' · ')
+    ];
+    if (showTrend) cells.push(formatTrend(historyTrend(history, row, historyWindow), row));
+    body += `| ${cells.join(' | ')} |\n`;
+  }
+  return body;
+}
+
+/** Notes rows whose page fell back to another renderer than the one requested. */
+function renderFallbacks(comparisons) {
+  let body = '';
+  for (const { name, renderer, rendererUsed } of comparisons) {
+    if (!renderer || !rendererUsed) continue;
+    for (const [side, used] of Object.entries(rendererUsed)) {
+      if (used && used !== renderer) body += `\n⚠️ ${name}: ${side} requested ${renderer} but ran on ${used}\n`;
+    }
+  }
+  return body;
+}
+
+/**
+ * Groups rows by browser, renderer and device profile, naming each group after
+ * whichever of them vary across the run (an empty name when none does).
+ *
+ * @returns {Map<string, object[]>}
+ */
+function groupByMatrix(comparisons) {
+  const deviceName = (row) => row.device?.name;
+  const varies = (value) => new Set(comparisons.map(value)).size > 1;
+  const byBrowser = varies((row) => row.browser);
+  const byRenderer = varies((row) => row.renderer);
+  const byDevice = varies(deviceName);
+  const groups = new Map();
+  for (const row of comparisons) {
+    const key = [
+      byBrowser && (BROWSERS[row.browser]?.label ?? row.browser),
+      byRenderer && (RENDERERS[row.renderer]?.label ?? row.renderer),
+      byDevice && deviceName(row)
+    ]
+      .filter(Boolean)
+      .join(' · ');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  }
+  return groups;
+}
+
+/**
+ * One summary table per browser, renderer and device profile when more than one
+ * was run, so a regression in one of them is not lost among the others.
+ */
+function renderSummaries(comparisons, options) {
+  let body = '';
+  for (const [group, rows] of groupByMatrix(comparisons)) {
+    if (group) body += `\n#### ${group}\n`;
+    body += renderSummary(rows, options) + renderFallbacks(rows);
+  }
+  return body;
+}
+
+function fixedTimestepNote(comparisons) {
+  const fixed = comparisons.filter((row) => row.fixedTimestep).map((row) => row.name);
+  if (fixed.length === 0) return '';
+  return fixed.length === comparisons.length ? ' · fixed timestep' : ` · fixed timestep: ${fixed.join(', ')}`;
+}
+
+const HTML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;' };
+
+/** Escapes page-provided text placed inside the comment's HTML tags, where Markdown is not parsed. */
+function escapeHtml(text) {
+  return String(text).replace(/[<>&]/g, (c) => HTML_ENTITIES[c]);
+}
+
+function renderErrors(comparisons) {
+  let body = '';
+  for (const { name, verdict, error } of comparisons) {
+    if (verdict !== 'errored') continue;
+    body += `
+<details><summary>💥 ${name} errored: ${escapeHtml(error.message)}</summary>
+
+<pre>${escapeHtml(error.log.join('\n') || '(no page output)')}</pre>
+
+</details>
+`;
+  }
+  return body;
+}
+
+function renderNetwork(comparisons) {
+  const offenders = comparisons.filter((row) => row.network?.length);
+  if (offenders.length === 0) return '';
+
+  let body = `
+⚠️ Some benchmarks tried to reach the network. External requests are answered from the assets folder when it has a
+file of the same name (redirected) and fail otherwise (blocked):
+
+`;
+  for (const { name, network } of offenders) {
+    body += `- ${name}: ${network.map(({ url, action }) => `\`${url}\` (${action})`).join(', ')}\n`;
+  }
+  return body;
+}
+
+function renderVisual(comparisons, { baseline }) {
+  const checked = comparisons.filter((row) => row.visual);
+  if (checked.length === 0) return '';
+
+  const mismatches = checked.filter((row) => row.visual.mismatch).length;
+  let body = `
+<details><summary>Visual check (${mismatches} of ${checked.length} final frames differ from ${baseline.label})</summary>
+
+| Name | Size | Differing pixels | Result | Images |
+|:-----|-----:|-----------------:|:------:|:-------|
+`;
+  for (const { name, visual } of checked) {
+    const cells = [
+      name,
+      `${visual.width}×${visual.height}`,
+      `${visual.diffPixels} (${visual.diffPercent.toFixed(2)}%)`,
+      visual.mismatch ? '🖼️ mismatch' : '✅ match',
+      Object.values(visual.files)
+        .map((file) => `\`${file}\``)
+        .join(', ')
+    ];
+    body += `| ${cells.join(' | ')} |\n`;
+  }
+  body += `
+Both sides render the same seeded scene for the same number of frames, and the last frame is compared pixel by pixel.
+A frame mismatches when the sizes differ or too many pixels differ; a mismatch fails the run, since a faster build
+that renders the wrong thing is not faster. The baseline, local and diff images were written on the runner.
+
+</details>
+`;
+  return body;
+}
+
+function formatWarmup({ frames, time, unsettled }) {
+  const length = `${Math.round(frames)} (${Math.round(time)} ms)`;
+  return unsettled > 0 ? `${length}, ${unsettled} unsettled` : length;
+}
+
+function renderFrameTimes(comparisons, { baseline, frameBudgets }) {
+  const frameRows = comparisons.filter((row) => row.frames);
+  if (frameRows.length === 0) return '';
+
+  const percentileHeaders = FRAME_PERCENTILES.map((p) => `p${p} (ms)`);
+  const budgetHeaders = frameBudgets.map((budget) => `> ${budget}ms`);
+  const headers = [...percentileHeaders, ...budgetHeaders, 'Trimmed', 'Warmup'];
+  let body = `
+<details><summary>Frame times (${baseline.label} → local, mean across runs)</summary>
+
+| Name | ${headers.join(' | ')} |
+|:-----|${headers.map(() => '----:').join('|')}|
+`;
+  for (const { name, frames, warmup } of frameRows) {
+    const cells = [
+      ...FRAME_PERCENTILES.map((p) => formatChange(frames.percentiles[`p${p}`], 2)),
+      ...frameBudgets.map((budget) => {
+        const { baseline: before, local: after } = frames.jank[budget];
+        return `${before.toFixed(1)} → ${after.toFixed(1)}`;
+      }),
+      frames.trimmed ? `${frames.trimmed.baseline.toFixed(1)} → ${frames.trimmed.local.toFixed(1)}` : 'n/a',
+      warmup ? `${formatWarmup(warmup.baseline)} → ${formatWarmup(warmup.local)}` : 'n/a'
+    ];
+    body += `| ${name} | ${cells.join(' | ')} |\n`;
+  }
+  body += `
+Jank columns count frames longer than the budget per run. Trimmed counts the outlier frames per run (longer than
+Q3 + 3 × IQR, at most 1% of frames) left out of the average frame time and FPS. Warmup is the unmeasured frames (and
+time) rendered before measuring; unsettled runs never reached a steady frame time.
+
+</details>
+`;
+  return body;
+}
+
+function renderMemory(comparisons, { baseline, memoryTolerance }) {
+  const memoryRows = comparisons.filter((row) => row.memory);
+  if (memoryRows.length === 0) return '';
+
+  const keys = Object.keys(MEMORY_METRICS);
+  const headers = keys.map((key) => {
+    const { label, unit } = MEMORY_METRICS[key];
+    return unit ? `${label} (${unit})` : label;
+  });
+  let body = `
+<details><summary>Memory and GC (${baseline.label} → local, mean across runs)</summary>
+
+| Name | ${headers.join(' | ')} |
+|:-----|${headers.map(() => '----:').join('|')}|
+`;
+  for (const { name, memory } of memoryRows) {
+    const cells = keys.map((key) => formatChange(memory[key], MEMORY_METRICS[key].unit === '' ? 0 : 1));
+    body += `| ${name} | ${cells.join(' | ')} |\n`;
+  }
+  body += `
+Heap used is measured when the benchmark reports; heap retained after a forced GC once the application is destroyed.
+Memory metrics have their own tolerance of ${memoryTolerance}% and fail the run when they regress significantly.
+
+</details>
+`;
+  return body;
+}
+
+function renderWorkload(comparisons, { baseline, workloadTolerance }) {
+  const workloadRows = comparisons.filter((row) => row.workload);
+  if (workloadRows.length === 0) return '';
+
+  const keys = Object.keys(WORKLOAD_COUNTERS);
+  let body = `
+<details><summary>Renderer workload (${baseline.label} → local, per frame)</summary>
+
+| Name | ${keys.map((key) => WORKLOAD_COUNTERS[key].label).join(' | ')} |
+|:-----|${keys.map(() => '----:').join('|')}|
+`;
+  for (const { name, workload } of workloadRows) {
+    body += `| ${name} | ${keys.map((key) => formatChange(workload[key], 1)).join(' | ')} |\n`;
+  }
+  body += `
+Calls to the WebGL or WebGPU API per measured frame. Unlike timings they hardly vary between runs, so a counter fails
+the run when it grows by more than ${workloadTolerance}%, e.g. when a change breaks batching.
+
+</details>
+`;
+  return body;
+}
+
+function renderPhases(comparisons, { baseline }) {
+  const phaseRows = comparisons.filter((row) => row.phases?.length);
+  if (phaseRows.length === 0) return '';
+
+  const names = [...new Set(phaseRows.flatMap((row) => row.phases.map((phase) => phase.name)))];
+  const headers = names.map((name) => `${name} (ms)`);
+  let body = `
+<details><summary>Startup phases (${baseline.label} → local, mean across runs)</summary>
+
+| Name | ${headers.join(' | ')} |
+|:-----|${headers.map(() => '----:').join('|')}|
+`;
+  for (const { name, phases } of phaseRows) {
+    const cells = names.map((phaseName) => {
+      const phase = phases.find((p) => p.name === phaseName);
+      return phase ? formatChange(phase, 2) : 'n/a';
+    });
+    body += `| ${name} | ${cells.join(' | ')} |\n`;
+  }
+  body += `
+Each phase runs from the previous \`Engine#mark()\` to its own. Phases are informational; gate on them with the
+\`startupTime\` metric, which sums every phase up to the first rendered frame.
+
+</details>
+`;
+  return body;
+}
+
+/**
+ * One table per swept benchmark, ordered by count. A count is flagged where the
+ * baseline and local curves diverge, i.e. where its verdict is not inconclusive.
+ */
+function renderScaling(comparisons, { baseline }) {
+  const groups = new Map();
+  for (const [matrix, rows] of groupByMatrix(comparisons)) {
+    for (const row of rows) {
+      if (row.count === undefined || row.verdict === 'errored') continue;
+      const group = matrix ? `${row.group} · ${matrix}` : row.group;
+      if (!groups.has(group)) groups.set(group, []);
+      groups.get(group).push(row);
+    }
+  }
+  if (groups.size === 0) return '';
+
+  let body = `
+<details><summary>Scaling by object count</summary>
+`;
+  for (const [group, rows] of groups) {
+    rows.sort((a, b) => a.count - b.count);
+    const { metric } = rows[0];
+    const [baselineCurve, localCurve] = sparklines([
+      rows.map((row) => row.baselineResult.avg),
+      rows.map((row) => row.localResult.avg)
+    ]);
+    body += `
+**${group}** (${metric.label}): ${baseline.label} \`${baselineCurve}\` · local \`${localCurve}\`
+
+| Count | ${baseline.label} | local | Δ% | Diverges |
+|------:|-------------:|--------------:|----:|:------:|
+`;
+    for (const row of rows) {
+      const diverges = row.verdict === 'inconclusive' ? '' : VERDICT_LABELS[row.verdict];
+      const cells = [
+        formatCount(row.count),
+        row.baselineResult.avg.toFixed(2),
+        row.localResult.avg.toFixed(2),
+        `${row.diffPercent.toFixed(2)}%`,
+        diverges
+      ];
+      body += `| ${cells.join(' | ')} |\n`;
+    }
+  }
+  body += `
+</details>
+`;
+  return body;
+}
+
+function renderProfiles(comparisons, { baseline }) {
+  const profiled = comparisons.filter((row) => row.profile);
+  if (profiled.length === 0) return '';
+
+  let body = '';
+  for (const { name, profile } of profiled) {
+    const files = [profile.baseline, profile.local]
+      .flatMap(({ tracePath, profilePath }) => [tracePath, profilePath])
+      .map((file) => `\`${file}\``)
+      .join(', ');
+    body += `
+<details><summary>Profile: ${name} (top self-time functions, ${baseline.label} → local)</summary>
+
+| Function | File | ${baseline.label} (ms) | local (ms) | Δ (ms) |
+|:---------|:-----|-------------:|-----------:|-------:|
+`;
+    for (const { functionName, file, baseline: before, local: after, delta } of profile.hotspots) {
+      const sign = delta > 0 ? '+' : '';
+      const cells = [`\`${functionName}\``, file, before.toFixed(1), after.toFixed(1), `${sign}${delta.toFixed(1)}`];
+      body += `| ${cells.join(' | ')} |\n`;
+    }
+    body += `
+Traces (open in Chrome DevTools or https://ui.perfetto.dev) and CPU profiles were written on the runner: ${files}
+
+</details>
+`;
+  }
+  return body;
+}
+
+/**
+ * Builds the markdown PR comment for a finished run.
+ *
+ * @param {object} options
+ * @param {object} options.baseline Result of `resolveBaseline`.
+ * @param {number} options.seed Seed the benchmark pages' `Engine#random` ran with.
+ * @param {object[]} options.comparisons One entry per measured benchmark (or swept count).
+ * @param {{ name: string, reason: string }[]} options.skipped
+ * @param {number} options.alpha
+ * @param {number[]} options.frameBudgets
+ * @param {number} options.memoryTolerance
+ * @param {number} options.workloadTolerance
+ * @param {object[]} [options.history] Previous default-branch results; adds a trend column when non-empty.
+ * @param {number} [options.historyWindow] Number of history entries the trend column covers.
+ * @returns {string}
+ */
+export function buildReport({
+  baseline,
+  seed,
+  comparisons,
+  skipped,
+  alpha,
+  frameBudgets,
+  memoryTolerance,
+  workloadTolerance,
+  history = [],
+  historyWindow = 10
+}) {
+  const visualMismatch = comparisons.some((row) => row.visual?.mismatch);
+  const erroredCount = comparisons.filter((row) => row.verdict === 'errored').length;
+  const isSlower = (row) =>
+    row.verdict === 'regression' || row.memoryVerdict === 'regression' || row.workloadVerdict === 'regression';
+  const regressionDetected = comparisons.some(isSlower);
+  let body = `
+${COMMENT_MARKER}
+### PixiJS Benchmark Results (${baseline.label} vs local dist)
+Baseline: ${baseline.description} · seed \`${seed}\`${fixedTimestepNote(comparisons)}
+`;
+  body += renderSummaries(comparisons, { baseline, alpha, history, historyWindow });
+  body += renderErrors(comparisons);
+  body += renderNetwork(comparisons);
+  body += renderVisual(comparisons, { baseline });
+  body += renderFrameTimes(comparisons, { baseline, frameBudgets });
+  body += renderMemory(comparisons, { baseline, memoryTolerance });
+  body += renderWorkload(comparisons, { baseline, workloadTolerance });
+  body += renderPhases(comparisons, { baseline });
+  body += renderScaling(comparisons, { baseline });
+  body += renderProfiles(comparisons, { baseline });
+
+  if (skipped.length > 0) {
+    body += `\nSkipped: ${skipped.map(({ name, reason }) => `${name} (${reason})`).join(', ')}\n`;
+  }
+
+  body += `
+Δ% is how much worse local is than ${baseline.label} on each row's metric (negative is better). Rows are only
+classed as a regression or improvement when Welch's t-test is significant at p < ${alpha} and the change exceeds
+the row's tolerance.${
+    history.length > 0
+      ? ' The trend column shows local against recent default-branch runs (positive is worse, last point is this run).'
+      : ''
+  }
+
+${
+  regressionDetected
+    ? `❌ Statistically significant performance regression detected (worse than ${baseline.label} beyond tolerance)`
+    : '✅ Performance within acceptable range'
+}${visualMismatch ? `\n\n❌ Rendered output differs from ${baseline.label} (see the visual check)` : ''}${
+    erroredCount > 0 ? `\n\n💥 ${erroredCount} benchmark(s) errored, see their page logs above` : ''
+  }
+`;
+  return body;
+}
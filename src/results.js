@@ -0,0 +1,209 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { log } from './log.js';
+import { getMetric } from './metrics.js';
+
+/**
+ * Whether a row (or its serialized form) fails the run: a regression on its
+ * gating metric, on any memory metric or on any renderer workload counter, or
+ * a final frame that does not match the baseline's.
+ */
+export function isRegression(row) {
+  return (
+    row.verdict === 'regression' ||
+    row.memoryVerdict === 'regression' ||
+    row.workloadVerdict === 'regression' ||
+    Boolean(row.visual?.mismatch)
+  );
+}
+
+/**
+ * Converts a finished run into a plain JSON document with every sample,
+ * summary statistic and verdict, for downstream steps and dashboards.
+ *
+ * @param {object} options
+ * @param {object} options.baseline Result of `resolveBaseline`.
+ * @param {number} options.seed Seed the benchmark pages' `Engine#random` ran with.
+ * @param {object[]} options.comparisons
+ * @param {{ name: string, reason: string }[]} options.skipped
+ * @param {number} options.alpha
+ * @param {{ index: number, total: number }} [options.shard] Set when only one shard of the benchmarks ran.
+ */
+export function serializeResults({ baseline, seed, comparisons, skipped, alpha, shard }) {
+  return {
+    baseline: { label: baseline.label, description: baseline.description },
+    seed,
+    alpha,
+    shard,
+    regressionDetected: comparisons.some(isRegression),
+    benchmarks: comparisons.map((row) => ({
+      name: row.name,
+      group: row.group,
+      count: row.count,
+      browser: row.browser,
+      renderer: row.renderer,
+      rendererUsed: row.rendererUsed,
+      device: row.device,
+      fixedTimestep: row.fixedTimestep,
+      metric: {
+        name: row.metric.name,
+        label: row.metric.label,
+        unit: row.metric.unit,
+        higherIsBetter: row.metric.higherIsBetter
+      },
+      tolerance: row.tolerance,
+      runs: row.runs,
+      baseline: row.baselineResult,
+      local: row.localResult,
+      diffPercent: row.diffPercent,
+      ci: row.ci,
+      pValue: row.pValue,
+      verdict: row.verdict,
+      frames: row.frames,
+      warmup: row.warmup,
+      memory: row.memory,
+      memoryVerdict: row.memoryVerdict,
+      workload: row.workload,
+      workloadVerdict: row.workloadVerdict,
+      phases: row.phases,
+      network: row.network,
+      visual: row.visual,
+      error: row.error,
+      profile: row.profile
+    })),
+    skipped
+  };
+}
+
+function findResultFiles(dir, list = []) {
+  for (const entry of fs.readdirSync(dir).sort()) {
+    const fp = path.join(dir, entry);
+    if (fs.statSync(fp).isDirectory()) findResultFiles(fp, list);
+    else if (entry.endsWith('.json')) list.push(fp);
+  }
+  return list;
+}
+
+/** Turns a serialized benchmark back into the comparison row it was written from. */
+function deserializeRow({ baseline, local, metric, ...row }, source) {
+  return { ...row, metric: getMetric(metric.name, source), baselineResult: baseline, localResult: local };
+}
+
+/** Reads a results file written by one shard, or returns null for any other JSON file. */
+function readShardResults(file) {
+  let results;
+  try {
+    results = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+  const isShard =
+    Number.isInteger(results?.shard?.index) &&
+    typeof results.baseline?.description === 'string' &&
+    Array.isArray(results.benchmarks) &&
+    Array.isArray(results.skipped);
+  return isShard ? results : null;
+}
+
+/**
+ * Reads the results files that the shards of a sharded run wrote below `dir`
+ * and merges them back into a single run, in shard order. Other JSON files,
+ * such as downloaded artifacts of other jobs, are skipped with a warning.
+ *
+ * @returns {{ baseline: object, seed: number, alpha: number, comparisons: object[], skipped: object[] }}
+ */
+export function mergeResultFiles(dir) {
+  const files = fs.existsSync(dir) ? findResultFiles(dir) : [];
+  const documents = [];
+  for (const file of files) {
+    const results = readShardResults(file);
+    if (results) documents.push({ file, results });
+    else log.warning(`Skipping ${file}: not a results file written by a benchmark shard`);
+  }
+  documents.sort((a, b) => a.results.shard.index - b.results.shard.index);
+  if (documents.length === 0) throw new Error(`No benchmark shard results files found in ${dir}`);
+
+  const [{ results: first }] = documents;
+  for (const { file, results } of documents) {
+    if (results.baseline.description !== first.baseline.description || results.seed !== first.seed) {
+      throw new Error(`${file} was measured against a different baseline or seed than ${documents[0].file}`);
+    }
+  }
+
+  // every shard lists the benchmarks skipped by their config
+  const skipped = new Map(documents.flatMap(({ results }) => results.skipped.map((entry) => [entry.name, entry])));
+  return {
+    baseline: first.baseline,
+    seed: first.seed,
+    alpha: first.alpha,
+    comparisons: documents.flatMap(({ file, results }) => results.benchmarks.map((b) => deserializeRow(b, file))),
+    skipped: [...skipped.values()]
+  };
+}
+
+function writeFile(file, contents) {
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, contents);
+}
+
+export function writeResultsJson(file, results) {
+  writeFile(file, `${JSON.stringify(results, null, 2)}\n`);
+}
+
+const XML_ENTITIES = { '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' };
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&'"]/g, (c) => XML_ENTITIES[c]);
+}
+
+function testcase(name, body) {
+  const open = `    <testcase classname="pixi-benchmark" name="${escapeXml(name)}">`;
+  return [open, `      ${body}`, '    </testcase>'].join('\n');
+}
+
+/**
+ * Writes a JUnit XML report with one testcase per benchmark row. Regressions
+ * are failures and skipped benchmarks are skipped testcases; improvements and
+ * inconclusive rows pass.
+ */
+export function writeJUnit(file, results) {
+  const { baseline, benchmarks, skipped } = results;
+  const failures = benchmarks.filter(isRegression).length;
+  const errors = benchmarks.filter((b) => b.verdict === 'errored').length;
+  const cases = benchmarks.map((b) => {
+    if (b.verdict === 'errored') {
+      const log = escapeXml(b.error.log.join('\n'));
+      return testcase(b.name, `<error message="${escapeXml(b.error.message)}">${log}</error>`);
+    }
+    const summary =
+      `${b.metric.label}: ${baseline.label} ${b.baseline.avg.toFixed(2)} ${b.metric.unit}, ` +
+      `local ${b.local.avg.toFixed(2)} ${b.metric.unit}, Δ ${b.diffPercent.toFixed(2)}%, p=${b.pValue.toFixed(3)}`;
+    if (!isRegression(b)) {
+      return testcase(b.name, `<system-out>${escapeXml(`${summary} (${b.verdict})`)}</system-out>`);
+    }
+    let message = `Rendered output differs from ${baseline.label} (${b.visual?.diffPercent.toFixed(2)}% of pixels)`;
+    if (b.verdict === 'regression') {
+      message = `${b.diffPercent.toFixed(2)}% worse than ${baseline.label} (tolerance ${b.tolerance}%)`;
+    } else if (b.memoryVerdict === 'regression') {
+      message = `Memory regression against ${baseline.label}`;
+    } else if (b.workloadVerdict === 'regression') {
+      message = `Renderer workload regression against ${baseline.label}`;
+    }
+    return testcase(b.name, `<failure message="${escapeXml(message)}">${escapeXml(summary)}</failure>`);
+  });
+  for (const { name, reason } of skipped) {
+    cases.push(testcase(name, `<skipped message="${escapeXml(reason)}" />`));
+  }
+
+  const tests = benchmarks.length + skipped.length;
+  writeFile(
+    file,
+    `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="PixiJS Benchmarks" tests="${tests}" failures="${failures}" errors="${errors}" skipped="${skipped.length}">
+  <testsuite name="${escapeXml(baseline.label)} vs local" tests="${tests}" failures="${failures}" errors="${errors}" skipped="${skipped.length}">
+${cases.join('\n')}
+  </testsuite>
+</testsuites>
+`
+  );
+}
@@ -0,0 +1,580 @@
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import handler from 'serve-handler';
+import { BASELINE_PREFIX } from './baseline.js';
+import { BROWSERS, launchOptions } from './browsers.js';
+import { CONFIG_FILE, loadBenchmarkConfig, resolveBenchmarkSettings } from './config.js';
+import { compareWorkload, instrumentRenderer } from './counters.js';
+import { throttleCpu } from './devices.js';
+import { BenchmarkError, capturePageLog } from './errors.js';
+import { compareFrameStats, computeFrameStats, summarizeWarmup } from './frames.js';
+import { log } from './log.js';
+import { compareMemory, startMemoryProbe } from './memory.js';
+import { collectNetworkAttempts, guardNetwork } from './network.js';
+import { assignCores, canPinCores, removePinnedExecutables, runPool } from './parallel.js';
+import { comparePhases } from './phases.js';
+import { compareHotspots, createProfiler, slugify } from './profile.js';
+import { formatCount, formatSamples } from './report.js';
+import { RENDERERS } from './renderers.js';
+import { isAffected, isSelected } from './select.js';
+import { compareSnapshots } from './snapshot.js';
+import { compareSamples, mean, stddev } from './stats.js';
+
+/** URL prefix under which the local server exposes the candidate build, as `local.html` imports it. */
+const CANDIDATE_PREFIX = '/dist/';
+
+/**
+ * Recursively finds benchmark entrypoints, pairing each `index.mjs` with the
+ * `benchmark.json` in the same folder (an empty config when there is none).
+ */
+function findIndexModules(dir, list = []) {
+  // sorted so every shard of a sharded run sees the benchmarks in the same order
+  const entries = fs.readdirSync(dir).sort();
+  for (const entry of entries) {
+    const fp = path.join(dir, entry);
+    const stat = fs.statSync(fp);
+    if (stat.isDirectory()) findIndexModules(fp, list);
+    else if (entry === 'index.mjs') list.push({ indexPath: fp, config: loadBenchmarkConfig(dir) });
+  }
+  return list;
+}
+
+function createPageHTML(title, pixiUrl) {
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>PixiJS Benchmark - ${title}</title>
+<script type="importmap">
+{
+  "imports": { "pixi.js": "${pixiUrl}" }
+}
+</script>
+</head>
+<body>
+<script type="module" src="./index.mjs"></script>
+</body>
+</html>`;
+}
+
+function ensureBenchmarkHtmlTemplates(benchmarks, baseline) {
+  log.startGroup('Ensure benchmark HTML pages');
+
+  const localHTML = createPageHTML('Local', `${CANDIDATE_PREFIX}pixi.mjs`);
+  // the baseline page depends on the action inputs, so it is rewritten every run
+  const baselineHTML = createPageHTML(`Baseline (${baseline.label})`, baseline.pixiUrl);
+
+  for (const { indexPath } of benchmarks) {
+    const dir = path.dirname(indexPath);
+    const local = path.join(dir, 'local.html');
+
+    if (!fs.existsSync(local)) {
+      fs.writeFileSync(local, localHTML);
+      log.info(`Created ${local}`);
+    }
+    fs.writeFileSync(path.join(dir, 'baseline.html'), baselineHTML);
+  }
+  log.endGroup();
+}
+
+async function runIsolatedBenchmark(url, label, settings, profiler) {
+  const browser = await BROWSERS[settings.browser].engine.launch(launchOptions(settings));
+  try {
+    return await runSingleBenchmark(browser, url, label, settings, profiler);
+  } finally {
+    try {
+      for (const context of browser.contexts()) {
+        await context.close().catch(() => {});
+      }
+      await browser.close();
+    } catch {
+      throw new Error('Failed to close browser');
+    }
+  }
+}
+
+async function runSingleBenchmark(browser, url, label, settings, profiler) {
+  const { viewport, deviceScaleFactor, cpuThrottling, timeout } = settings;
+  const page = await browser.newPage({ viewport, deviceScaleFactor });
+  if (cpuThrottling > 1) await throttleCpu(page, cpuThrottling);
+  const network = await guardNetwork(page, settings.network);
+  await page.addInitScript(instrumentRenderer);
+  // tracing is exclusive, so profiled runs (which are not sampled) skip the memory probe
+  const memoryProbe = profiler || !BROWSERS[settings.browser].cdp ? null : await startMemoryProbe(page);
+  const pageLog = capturePageLog(page);
+  await profiler?.start(browser, page);
+
+  let outcome;
+  try {
+    await page.goto(url, { waitUntil: 'load', timeout });
+    log.info(`Measurement for ${label}`);
+    // the page reports either a result or, through Engine's error handlers, an error
+    const handle = await page.waitForFunction(
+      () => (window.benchmarkResult || window.benchmarkError) && { error: window.benchmarkError },
+      { timeout }
+    );
+    outcome = await handle.jsonValue();
+  } catch (err) {
+    throw new BenchmarkError(label, pageLog.crashed ? 'page crashed' : err.message.split('\n')[0], pageLog.lines);
+  }
+  if (outcome.error) {
+    const { message, stack } = outcome.error;
+    // uncaught errors are already in the log as page errors; errors reported by the benchmark itself are not
+    const logged = pageLog.lines.some((line) => line.includes(message));
+    const lines = logged ? pageLog.lines : [...pageLog.lines, `[benchmarkError] ${stack ?? message}`];
+    throw new BenchmarkError(label, message, lines);
+  }
+
+  const result = await page.evaluate(() => window.benchmarkResult);
+  result.network = network;
+  if (memoryProbe) result.memory = await memoryProbe.stop();
+  if (profiler) result.profile = await profiler.stop(browser, page);
+  await page.close();
+  return result;
+}
+
+/**
+ * Re-runs a regressed benchmark once per side with a Chrome trace and CPU
+ * profile, returning the written files and the hottest functions of each side.
+ */
+async function profileBenchmark(label, pages, settings, profileDir) {
+  const sides = { baseline: pages.baselineURL, local: pages.localURL };
+  const profiles = {};
+  for (const [side, url] of Object.entries(sides)) {
+    const profiler = createProfiler(path.join(profileDir, `${slugify(label)}-${side}`));
+    const { profile } = await runIsolatedBenchmark(url, `${label} [${side}] profiling`, settings, profiler);
+    profiles[side] = profile;
+  }
+  return {
+    baseline: { tracePath: profiles.baseline.tracePath, profilePath: profiles.baseline.profilePath },
+    local: { tracePath: profiles.local.tracePath, profilePath: profiles.local.profilePath },
+    hotspots: compareHotspots(profiles.baseline.functions, profiles.local.functions)
+  };
+}
+
+/** Diffs the final frames of both sides, in the browser the benchmark ran in. */
+async function checkSnapshots(label, snapshots, settings, { snapshotDir, tolerance }) {
+  const browser = await BROWSERS[settings.browser].engine.launch(launchOptions(settings));
+  try {
+    const outputBase = path.join(snapshotDir, slugify(label));
+    return await compareSnapshots(browser, snapshots, { outputBase, tolerance });
+  } finally {
+    await browser.close();
+  }
+}
+
+function sampleMetric(result, metric, label) {
+  const value = metric.extract(result);
+  // errors the row rather than the whole suite
+  if (!Number.isFinite(value)) throw new BenchmarkError(label, `did not report ${metric.label}`, []);
+  return value;
+}
+
+function summarize(samples) {
+  return { avg: mean(samples), stddev: stddev(samples), samples };
+}
+
+/**
+ * Samples the baseline and local pages alternately (ABAB) so runner drift hits
+ * both sides equally. Sampling stops once at least `minRuns` pairs exist and the
+ * half-width of the confidence interval on the delta is within `targetCi`
+ * percent, or after `maxRuns` pairs.
+ */
+async function runInterleavedBenchmark(name, pages, settings, options) {
+  const { targetCi, alpha, frameBudgets, memoryTolerance, workloadTolerance } = options;
+  const { metric, minRuns, maxRuns, tolerance } = settings;
+  const baselineRuns = [];
+  const localRuns = [];
+  const baselineSamples = [];
+  const localSamples = [];
+  let comparison;
+
+  for (let i = 0; i < maxRuns; i++) {
+    const run = `${i + 1}/${maxRuns}`;
+    const baselineLabel = `${name} [${pages.baselineLabel}] ${run}`;
+    const baselineResult = await runIsolatedBenchmark(pages.baselineURL, baselineLabel, settings);
+    baselineResult.frameStats = computeFrameStats(baselineResult.frameDurations, frameBudgets);
+    baselineRuns.push(baselineResult);
+    baselineSamples.push(sampleMetric(baselineResult, metric, baselineLabel));
+
+    const localLabel = `${name} [local] ${run}`;
+    const localResult = await runIsolatedBenchmark(pages.localURL, localLabel, settings);
+    localResult.frameStats = computeFrameStats(localResult.frameDurations, frameBudgets);
+    localRuns.push(localResult);
+    localSamples.push(sampleMetric(localResult, metric, localLabel));
+
+    if (i + 1 < minRuns) continue;
+    comparison = compareSamples(baselineSamples, localSamples, {
+      alpha,
+      minEffect: tolerance,
+      higherIsBetter: metric.higherIsBetter
+    });
+    const [low, high] = comparison.ci;
+    const halfWidth = (high - low) / 2;
+    if (halfWidth <= targetCi) {
+      log.info(`${name}: CI ±${halfWidth.toFixed(2)}% within ±${targetCi}% after ${i + 1} runs per side`);
+      break;
+    }
+  }
+
+  return {
+    baselineResult: summarize(baselineSamples),
+    localResult: summarize(localSamples),
+    runs: baselineSamples.length,
+    frames: compareFrameStats(baselineRuns, localRuns, frameBudgets, { alpha, minEffect: tolerance }),
+    memory: compareMemory(baselineRuns, localRuns, { alpha, minEffect: memoryTolerance }),
+    workload: compareWorkload(baselineRuns, localRuns, workloadTolerance),
+    phases: comparePhases(baselineRuns, localRuns, { alpha, minEffect: tolerance }),
+    warmup: summarizeWarmup(baselineRuns, localRuns),
+    rendererUsed: { baseline: baselineRuns[0].renderer, local: localRuns[0].renderer },
+    network: collectNetworkAttempts([...baselineRuns, ...localRuns]),
+    // every run renders the same seeded frames, so the first pair is enough for the visual check
+    snapshots:
+      baselineRuns[0].snapshot && localRuns[0].snapshot
+        ? { baseline: baselineRuns[0].snapshot, local: localRuns[0].snapshot }
+        : null,
+    ...comparison
+  };
+}
+
+/**
+ * Measures one benchmark variant (a benchmark at one count, in one browser and
+ * renderer) and returns its comparison row. A page that errors yields an
+ * errored row instead of failing the whole run.
+ */
+export async function measureVariant(variant, options) {
+  const { label, group, relDir, count, browser, renderer, device, params, settings } = variant;
+  const { origin, baseline, targetCi, alpha, frameBudgets, memoryTolerance, workloadTolerance } = options;
+  const { visualOptions, profileRegressions } = options;
+  const { metric, tolerance } = settings;
+  const query = new URLSearchParams(params).toString();
+  const search = query ? `?${query}` : '';
+  const baselineURL = `${origin}/${relDir}/baseline.html${search}`;
+  const localURL = `${origin}/${relDir}/local.html${search}`;
+
+  log.info(`Benchmark: ${label} (${metric.label}, tolerance ${tolerance}%)`);
+
+  const pages = { baselineURL, localURL, baselineLabel: baseline.label };
+  let measured;
+  try {
+    measured = await runInterleavedBenchmark(label, pages, settings, {
+      targetCi,
+      alpha,
+      frameBudgets,
+      memoryTolerance,
+      workloadTolerance
+    });
+  } catch (err) {
+    if (!(err instanceof BenchmarkError)) throw err;
+    // keep going so one broken benchmark does not lose every other result
+    log.error(err.message);
+    return {
+      name: label,
+      group,
+      count,
+      browser,
+      renderer,
+      device,
+      metric,
+      tolerance,
+      verdict: 'errored',
+      error: { run: err.label, message: err.message, log: err.log }
+    };
+  }
+  const {
+    baselineResult,
+    localResult,
+    runs,
+    frames,
+    memory,
+    workload,
+    phases,
+    warmup,
+    rendererUsed,
+    network,
+    snapshots,
+    diffPercent,
+    ci,
+    pValue,
+    verdict
+  } = measured;
+  if (network.length > 0) {
+    const urls = network.map(({ url, action }) => `${url} (${action})`).join(', ');
+    log.warning(`${label} tried to reach the network: ${urls}`);
+  }
+  for (const [side, used] of Object.entries(rendererUsed)) {
+    if (used && used !== renderer) log.warning(`${label}: ${side} requested ${renderer} but ran on ${used}`);
+  }
+
+  const row = {
+    name: label,
+    group,
+    count,
+    browser,
+    renderer,
+    device,
+    rendererUsed,
+    fixedTimestep: settings.fixedTimestep,
+    metric,
+    tolerance,
+    baselineResult,
+    localResult,
+    runs,
+    frames,
+    warmup,
+    memory,
+    memoryVerdict: memory && Object.values(memory).some((m) => m.verdict === 'regression') ? 'regression' : 'ok',
+    workload,
+    workloadVerdict: workload && Object.values(workload).some((w) => w.verdict === 'regression') ? 'regression' : 'ok',
+    phases,
+    network,
+    diffPercent,
+    ci,
+    pValue,
+    verdict
+  };
+
+  log.info(
+    `${label} → ${baseline.label}: ${formatSamples(baselineResult, metric)}, local: ${formatSamples(
+      localResult,
+      metric
+    )}, Δ=${diffPercent.toFixed(2)}%, p=${pValue.toFixed(3)} (${verdict})`
+  );
+
+  if (snapshots) {
+    try {
+      row.visual = await checkSnapshots(label, snapshots, settings, visualOptions);
+      if (row.visual.mismatch) {
+        const share = `${row.visual.diffPercent.toFixed(2)}% of pixels`;
+        log.warning(`${label}: rendered output differs from ${baseline.label} (${share})`);
+      }
+    } catch (err) {
+      log.warning(`Visual check of ${label} failed: ${err.message}`);
+    }
+  } else {
+    // pages do not capture one after a timed or steady-state warmup
+    log.info(`Skipping the visual check of ${label}: no final frame was captured`);
+  }
+
+  if (verdict === 'regression' && profileRegressions && !BROWSERS[browser].cdp) {
+    log.info(`Skipping profiling of ${label}: profiling needs Chromium`);
+  } else if (verdict === 'regression' && profileRegressions) {
+    try {
+      row.profile = await profileBenchmark(label, pages, settings, options.profileDir);
+    } catch (err) {
+      log.warning(`Profiling ${label} failed: ${err.message}`);
+    }
+  }
+  return row;
+}
+
+/**
+ * Serves the working directory with the candidate build under `/dist/` and the
+ * baseline build, when it is local, under {@link BASELINE_PREFIX}, on a free
+ * port.
+ *
+ * @param {{ candidatePath: string, baseline: object }} options
+ * @returns {Promise<{ origin: string, close: () => Promise<void> }>}
+ */
+export async function startServer({ candidatePath, baseline }) {
+  const server = http.createServer((req, res) => {
+    if (baseline.distPath && req.url.startsWith(BASELINE_PREFIX)) {
+      req.url = req.url.slice(BASELINE_PREFIX.length - 1);
+      return handler(req, res, { public: baseline.distPath });
+    }
+    if (req.url.startsWith(CANDIDATE_PREFIX)) {
+      req.url = req.url.slice(CANDIDATE_PREFIX.length - 1);
+      return handler(req, res, { public: candidatePath });
+    }
+    return handler(req, res, { public: '.' });
+  });
+  await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+  return {
+    origin: `http://localhost:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+/**
+ * Expands the selected benchmarks into the variants to measure: every count of
+ * a sweep, in every browser, renderer and device profile. Memory metrics and
+ * throttled profiles need the DevTools Protocol, so outside Chromium those
+ * variants are skipped.
+ *
+ * @returns {{ variants: object[], skipped: { name: string, reason: string }[] }}
+ */
+function collectVariants(benchmarks, options) {
+  const { benchmarkPath, defaults, browsers, renderers, devices, seed, selection, affected, network } = options;
+  const skipped = [];
+  const variants = [];
+  for (const { indexPath, config } of benchmarks) {
+    const dir = path.dirname(indexPath);
+    const relDir = path.relative(process.cwd(), dir).replace(/\\/g, '/');
+    const name = path.basename(dir);
+    const benchmark = {
+      name: path.relative(path.resolve(benchmarkPath), dir).replace(/\\/g, '/'),
+      tags: config.tags ?? []
+    };
+    if (!isSelected(benchmark, selection)) {
+      log.info(`Benchmark: ${name} not selected by include/exclude`);
+      continue;
+    }
+    const settings = resolveBenchmarkSettings(config, defaults, `${relDir}/${CONFIG_FILE}`);
+
+    if (settings.skip) {
+      const reason = typeof settings.skip === 'string' ? settings.skip : 'skipped in config';
+      log.info(`Benchmark: ${name} skipped (${reason})`);
+      skipped.push({ name, reason });
+      continue;
+    }
+    if (affected && !isAffected(benchmark, affected.tags)) {
+      log.info(`Benchmark: ${name} skipped (${affected.reason})`);
+      skipped.push({ name, reason: affected.reason });
+      continue;
+    }
+
+    // a swept benchmark is measured once per count, each count being its own comparison row
+    const sizes = settings.counts
+      ? settings.counts.map((count) => ({
+          label: `${name} ×${formatCount(count)}`,
+          count,
+          params: { ...settings.params, count }
+        }))
+      : [{ label: name, params: settings.params }];
+    // and every size once per browser, renderer and device, labelled with them when there is more than one
+    for (const browser of browsers) {
+      for (const renderer of renderers) {
+        for (const device of devices) {
+          for (const size of sizes) {
+            const label = [
+              size.label,
+              renderers.length > 1 && RENDERERS[renderer].label,
+              browsers.length > 1 && BROWSERS[browser.name].label,
+              devices.length > 1 && device.name
+            ]
+              .filter(Boolean)
+              .join(' · ');
+            // memory metrics and CPU throttling go through the DevTools Protocol
+            const reason =
+              !BROWSERS[browser.name].cdp &&
+              ((settings.metric.cdp && `${settings.metric.label} is Chromium-only`) ||
+                (device.cpuThrottling > 1 && 'CPU throttling is Chromium-only'));
+            if (reason) {
+              log.info(`Benchmark: ${label} skipped (${reason})`);
+              skipped.push({ name: label, reason });
+              continue;
+            }
+            variants.push({
+              ...size,
+              label,
+              group: name,
+              relDir,
+              browser: browser.name,
+              renderer,
+              device,
+              params: {
+                seed,
+                ...size.params,
+                renderer,
+                ...(settings.fixedTimestep && { fixedTimestep: 1 }),
+                ...(settings.warmup && { warmupFrames: settings.warmup.frames, warmupTime: settings.warmup.time }),
+                ...(settings.steadyState && { steadyState: 1 })
+              },
+              settings: {
+                ...settings,
+                browser: browser.name,
+                // a browser's tolerance replaces perf-change, but not the benchmark's own
+                tolerance: config.tolerance ?? browser.tolerance ?? settings.tolerance,
+                browserArgs: [...settings.browserArgs, ...RENDERERS[renderer].browserArgs],
+                firefoxUserPrefs: RENDERERS[renderer].firefoxUserPrefs,
+                // the benchmark's own viewport replaces the profile's
+                viewport: settings.viewport ?? device.viewport,
+                deviceScaleFactor: device.deviceScaleFactor,
+                cpuThrottling: device.cpuThrottling,
+                network
+              }
+            });
+          }
+        }
+      }
+    }
+  }
+  return { variants, skipped };
+}
+
+/**
+ * Runs a benchmark suite against a baseline: serves both builds, discovers and
+ * selects the benchmarks, and measures every variant. Shared by the action and
+ * the CLI, which only differ in where the options come from and where the
+ * results go.
+ *
+ * @param {object} options
+ * @param {string} options.benchmarkPath Folder containing the benchmarks.
+ * @param {string} options.candidatePath Folder containing the `pixi.mjs` under test.
+ * @param {object} options.baseline Result of `resolveBaseline`.
+ * @param {string} options.assetsPath Shared assets that external requests are redirected to.
+ * @param {object} options.defaults Settings that benchmarks' `benchmark.json` files override.
+ * @param {{ name: string, tolerance?: number }[]} options.browsers
+ * @param {string[]} options.renderers
+ * @param {object[]} options.devices Result of `parseDeviceProfiles`.
+ * @param {number} options.seed
+ * @param {object} options.selection `include` and `exclude` matchers from `parsePatterns`.
+ * @param {{ tags: Set<string>, reason: string } | null} [options.affected] Tags affected by the change.
+ * @param {{ index: number, total: number } | null} [options.shard]
+ * @param {number} [options.concurrency]
+ * @param {object} options.measure Options for {@link measureVariant}.
+ * @returns {Promise<{ comparisons: object[], skipped: { name: string, reason: string }[] }>}
+ */
+export async function runSuite(options) {
+  const { benchmarkPath, candidatePath, baseline, assetsPath, shard, concurrency = 1 } = options;
+
+  const pixiPath = path.join(candidatePath, 'pixi.mjs');
+  if (!fs.existsSync(pixiPath)) throw new Error(`pixi.mjs not found in ${candidatePath}: ${pixiPath}`);
+
+  const benchmarks = findIndexModules(path.resolve(benchmarkPath));
+  if (benchmarks.length === 0) throw new Error('No index.mjs benchmark entrypoints found.');
+  ensureBenchmarkHtmlTemplates(benchmarks, baseline);
+
+  log.startGroup('Start local server');
+  const server = await startServer({ candidatePath, baseline });
+  log.info(`Serving benchmarks on ${server.origin}`);
+  log.endGroup();
+
+  try {
+    // benchmarks only reach the local server, and the baseline CDN when the baseline comes from one
+    const network = {
+      allowedOrigins: [...new Set([server.origin, new URL(baseline.pixiUrl, server.origin).origin])],
+      assetsDir: fs.existsSync(assetsPath) ? assetsPath : undefined
+    };
+    const collected = collectVariants(benchmarks, { ...options, network });
+    const { skipped } = collected;
+    let { variants } = collected;
+
+    if (shard) {
+      // contiguous blocks, so concatenating the shards in order restores the full run's order
+      const start = Math.floor(((shard.index - 1) * variants.length) / shard.total);
+      const end = Math.floor((shard.index * variants.length) / shard.total);
+      variants = variants.slice(start, end);
+      log.info(`Shard ${shard.index}/${shard.total}: ${variants.map((variant) => variant.label).join(', ')}`);
+    }
+
+    // concurrent benchmarks each get their own cores, so they do not compete for CPU time
+    let slotCores = [];
+    if (concurrency > 1) {
+      if (canPinCores()) slotCores = assignCores(concurrency);
+      else log.warning('taskset is not available; concurrent benchmarks will share CPU cores');
+    }
+
+    log.startGroup(`Run ${baseline.label} vs local benchmarks`);
+    const measureOptions = { ...options.measure, origin: server.origin, baseline };
+    const comparisons = await runPool(variants, concurrency, (variant, slot) =>
+      measureVariant({ ...variant, settings: { ...variant.settings, cores: slotCores[slot] } }, measureOptions)
+    );
+    log.endGroup();
+    return { comparisons, skipped };
+  } finally {
+    removePinnedExecutables();
+    await server.close();
+  }
+}
@@ -0,0 +1,124 @@
+/** Prefix that makes an `include`/`exclude` pattern match a benchmark tag instead of its path. */
+const TAG_PREFIX = 'tag:';
+
+/** Tag in `affected-paths` that selects every benchmark. */
+export const ALL_TAGS = '*';
+
+/** Splits a comma- or newline-separated input into trimmed, non-empty entries. */
+function splitList(input) {
+  return (input ?? '')
+    .split(/[,\n]/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Converts a glob to a regular expression: `**` matches across folders, `*`
+ * within one folder and `?` a single character.
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === '*' && glob[i + 1] === '*') {
+      // "**/" also matches no folder at all
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parses the `include` or `exclude` input into matchers. Entries are globs
+ * matched against a benchmark's path inside `benchmark-path` (e.g. `sprite*`),
+ * or `tag:<name>` to match a tag from its `benchmark.json`.
+ *
+ * @param {string} input
+ * @returns {((benchmark: { name: string, tags: string[] }) => boolean)[]}
+ */
+export function parsePatterns(input) {
+  return splitList(input).map((pattern) => {
+    if (pattern.startsWith(TAG_PREFIX)) {
+      const tag = pattern.slice(TAG_PREFIX.length);
+      return (benchmark) => benchmark.tags.includes(tag);
+    }
+    const regexp = globToRegExp(pattern);
+    return (benchmark) => regexp.test(benchmark.name);
+  });
+}
+
+/**
+ * Whether a benchmark passes the `include` and `exclude` filters: it must match
+ * an include pattern (when there are any) and no exclude pattern.
+ */
+export function isSelected(benchmark, { include, exclude }) {
+  if (include.length > 0 && !include.some((matches) => matches(benchmark))) return false;
+  return !exclude.some((matches) => matches(benchmark));
+}
+
+/**
+ * Parses the `affected-paths` input, one `<glob>: <tag>, <tag>` mapping per
+ * line, e.g. `src/scene/text/**: text`. The `*` tag selects every benchmark.
+ *
+ * @param {string} input
+ * @returns {{ regexp: RegExp, tags: string[] }[]}
+ */
+export function parseAffectedPaths(input) {
+  return (input ?? '')
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const separator = line.lastIndexOf(':');
+      const glob = line.slice(0, separator).trim();
+      const tags = splitList(line.slice(separator + 1));
+      if (separator < 0 || !glob || tags.length === 0) {
+        throw new Error(`Invalid affected-paths entry "${line}": expected <glob>: <tag>, <tag>`);
+      }
+      return { regexp: globToRegExp(glob), tags };
+    });
+}
+
+/**
+ * Maps the files changed by a PR to the benchmark tags they affect. Files that
+ * match no mapping affect no benchmark.
+ *
+ * @param {string[]} files Changed paths, relative to the repository root.
+ * @param {{ regexp: RegExp, tags: string[] }[]} mappings Result of {@link parseAffectedPaths}.
+ * @returns {Set<string>}
+ */
+export function affectedTags(files, mappings) {
+  const tags = new Set();
+  for (const file of files) {
+    for (const { regexp, tags: mapped } of mappings) {
+      if (regexp.test(file)) mapped.forEach((tag) => tags.add(tag));
+    }
+  }
+  return tags;
+}
+
+/** Whether a benchmark has one of the affected tags. */
+export function isAffected(benchmark, tags) {
+  return tags.has(ALL_TAGS) || benchmark.tags.some((tag) => tags.has(tag));
+}
+
+/**
+ * Whether the run was asked for the full suite, through a label on the PR or
+ * a comment starting with the full-run command.
+ *
+ * @param {object} context `github.context`.
+ * @param {{ label: string, command: string }} options
+ */
+export function wantsFullRun(context, { label, command }) {
+  const { pull_request: pullRequest, issue, comment } = context.payload;
+  const labels = (pullRequest ?? issue)?.labels ?? [];
+  if (label && labels.some((l) => l.name === label)) return true;
+  return Boolean(command && context.eventName === 'issue_comment' && comment?.body?.trim().startsWith(command));
+}
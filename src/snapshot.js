@@ -0,0 +1,105 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+/** Largest per-channel difference (0-255) for two pixels to still count as equal. */
+export const PIXEL_THRESHOLD = 32;
+
+function writeDataUrl(file, dataUrl) {
+  fs.writeFileSync(file, Buffer.from(dataUrl.slice(dataUrl.indexOf(',') + 1), 'base64'));
+}
+
+/**
+ * Diffs two PNG data URLs inside a browser page, which can decode them without
+ * an image library. Differing pixels are painted red over a faded copy of the
+ * baseline.
+ *
+ * @returns {Promise<{ width: number, height: number, sameSize: boolean, diffPixels: number, diff: string }>}
+ */
+async function diffImages(page, baseline, local, threshold) {
+  return page.evaluate(
+    async ({ baseline, local, threshold }) => {
+      const load = async (src) => {
+        const image = new Image();
+        image.src = src;
+        await image.decode();
+        return image;
+      };
+      const [before, after] = await Promise.all([load(baseline), load(local)]);
+      const width = Math.max(before.width, after.width);
+      const height = Math.max(before.height, after.height);
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const context = canvas.getContext('2d', { willReadFrequently: true });
+      const pixels = (image) => {
+        context.clearRect(0, 0, width, height);
+        context.drawImage(image, 0, 0);
+        return context.getImageData(0, 0, width, height).data;
+      };
+      const a = pixels(before);
+      const b = pixels(after);
+
+      const diff = context.createImageData(width, height);
+      let diffPixels = 0;
+      for (let i = 0; i < a.length; i += 4) {
+        const delta = Math.max(
+          Math.abs(a[i] - b[i]),
+          Math.abs(a[i + 1] - b[i + 1]),
+          Math.abs(a[i + 2] - b[i + 2]),
+          Math.abs(a[i + 3] - b[i + 3])
+        );
+        if (delta > threshold) {
+          diffPixels++;
+          diff.data.set([255, 0, 0, 255], i);
+        } else {
+          const gray = (a[i] + a[i + 1] + a[i + 2]) / 3;
+          diff.data.set([gray, gray, gray, 64], i);
+        }
+      }
+      context.putImageData(diff, 0, 0);
+
+      const sameSize = before.width === after.width && before.height === after.height;
+      return { width, height, sameSize, diffPixels, diff: canvas.toDataURL('image/png') };
+    },
+    { baseline, local, threshold }
+  );
+}
+
+/**
+ * Compares the final frames both sides rendered. The baseline, local and diff
+ * images are written next to `outputBase`; a row mismatches when the images
+ * differ in size or more than `tolerance` percent of pixels differ.
+ *
+ * @param {import('playwright').Browser} browser
+ * @param {{ baseline: string, local: string }} snapshots PNG data URLs from `Engine#finish`.
+ * @param {{ outputBase: string, tolerance: number }} options
+ */
+export async function compareSnapshots(browser, snapshots, { outputBase, tolerance }) {
+  const page = await browser.newPage();
+  let result;
+  try {
+    result = await diffImages(page, snapshots.baseline, snapshots.local, PIXEL_THRESHOLD);
+  } finally {
+    await page.close();
+  }
+
+  fs.mkdirSync(path.dirname(path.resolve(outputBase)), { recursive: true });
+  const files = {
+    baseline: `${outputBase}-baseline.png`,
+    local: `${outputBase}-local.png`,
+    diff: `${outputBase}-diff.png`
+  };
+  writeDataUrl(files.baseline, snapshots.baseline);
+  writeDataUrl(files.local, snapshots.local);
+  writeDataUrl(files.diff, result.diff);
+
+  const diffPercent = (result.diffPixels / (result.width * result.height)) * 100;
+  return {
+    width: result.width,
+    height: result.height,
+    diffPixels: result.diffPixels,
+    diffPercent,
+    mismatch: !result.sameSize || diffPercent > tolerance,
+    files
+  };
+}
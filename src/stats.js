@@ -0,0 +1,192 @@
+export function mean(values) {
+  return values.reduce((a, b) => a + b, 0) / values.length;
+}
+
+/** Sample (n - 1) variance; NaN for fewer than two values. */
+export function variance(values) {
+  if (values.length < 2) return NaN;
+  const avg = mean(values);
+  return values.reduce((s, n) => s + (n - avg) ** 2, 0) / (values.length - 1);
+}
+
+export function stddev(values) {
+  return values.length < 2 ? 0 : Math.sqrt(variance(values));
+}
+
+/**
+ * Linearly interpolated percentile of an unsorted array.
+ *
+ * @param {number[]} values
+ * @param {number} p Percentile in [0, 100].
+ * @returns {number}
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return NaN;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function logGamma(x) {
+  // Lanczos approximation
+  const g = 7;
+  const c = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61503916999185,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+  ];
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = c[0];
+  const t = x + g + 0.5;
+  for (let i = 1; i < g + 2; i++) a += c[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+function betaContinuedFraction(x, a, b) {
+  const maxIterations = 200;
+  const epsilon = 3e-14;
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= maxIterations; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < epsilon) break;
+  }
+  return h;
+}
+
+/** Regularized incomplete beta function I_x(a, b). */
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  if (x < (a + 1) / (a + b + 2)) return (front * betaContinuedFraction(x, a, b)) / a;
+  return 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/** Welch's standard error of the difference of means and its Welch–Satterthwaite degrees of freedom. */
+function welchStandardError(a, b) {
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  return { se: Math.sqrt(va + vb), df };
+}
+
+/**
+ * Two-sided Welch's t-test for two independent samples with unequal variances.
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {{ t: number, df: number, pValue: number }}
+ */
+export function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return { t: NaN, df: NaN, pValue: 1 };
+
+  const { se, df } = welchStandardError(a, b);
+  const diff = mean(a) - mean(b);
+
+  if (se === 0) {
+    return { t: diff === 0 ? 0 : Infinity, df: Infinity, pValue: diff === 0 ? 1 : 0 };
+  }
+
+  const t = diff / se;
+  const pValue = incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return { t, df, pValue };
+}
+
+/** Quantile of Student's t distribution with `df` degrees of freedom, for p in (0.5, 1). */
+function tQuantile(p, df) {
+  // bisect the upper tail, P(T > t) = I(df / (df + t²); df / 2, 1 / 2) / 2
+  let low = 0;
+  let high = 1;
+  while (incompleteBeta(df / (df + high * high), df / 2, 0.5) / 2 > 1 - p) high *= 2;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (incompleteBeta(df / (df + mid * mid), df / 2, 0.5) / 2 > 1 - p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Welch t confidence interval on how much worse `local` is than `baseline`, in
+ * percent of the baseline mean, with the degrees of freedom of
+ * {@link welchTTest}. Unlike a percentile bootstrap it keeps its coverage with only a few runs.
+ *
+ * @param {number[]} baseline
+ * @param {number[]} local
+ * @param {boolean} higherIsBetter
+ * @param {number} confidence e.g. 0.95
+ * @returns {[number, number]}
+ */
+export function welchInterval(baseline, local, higherIsBetter, confidence) {
+  if (baseline.length < 2 || local.length < 2) return [NaN, NaN];
+  const base = mean(baseline);
+  const { se, df } = welchStandardError(local, baseline);
+  const diff = mean(local) - base;
+  const margin = se === 0 ? 0 : tQuantile(1 - (1 - confidence) / 2, df) * se;
+  const bounds = [diff - margin, diff + margin].map((value) => (value / base) * 100 * (higherIsBetter ? -1 : 1));
+  return bounds.sort((x, y) => x - y);
+}
+
+/**
+ * Returns the statistic "percentage by which `local` is worse than `baseline`"
+ * for a metric where either higher or lower values are better.
+ */
+export function regressionPercent(higherIsBetter) {
+  return (baseline, local) => {
+    const b = mean(baseline);
+    const l = mean(local);
+    if (b === l) return 0;
+    const change = ((l - b) / b) * 100;
+    return higherIsBetter ? -change : change;
+  };
+}
+
+/**
+ * Compares baseline and local samples of a metric.
+ *
+ * A row is only classed as a regression or improvement when Welch's t-test is
+ * significant at `alpha` and the change exceeds `minEffect` percent; anything
+ * else is inconclusive. Positive deltas mean local is worse.
+ *
+ * @param {number[]} baseline
+ * @param {number[]} local
+ * @param {object} options
+ * @param {number} options.alpha Significance level, e.g. 0.05.
+ * @param {number} options.minEffect Smallest slowdown/speedup (in %) worth reporting.
+ * @param {boolean} [options.higherIsBetter=true] Direction of the metric (true for FPS, false for frame times).
+ * @returns {{ diffPercent: number, ci: [number, number], pValue: number, verdict: 'regression' | 'improvement' | 'inconclusive' }}
+ */
+export function compareSamples(baseline, local, { alpha, minEffect, higherIsBetter = true }) {
+  const statistic = regressionPercent(higherIsBetter);
+  const diffPercent = statistic(baseline, local);
+  const { pValue } = welchTTest(baseline, local);
+  const ci = welchInterval(baseline, local, higherIsBetter, 1 - alpha);
+
+  let verdict = 'inconclusive';
+  if (pValue < alpha && Math.abs(diffPercent) > minEffect) {
+    verdict = diffPercent > 0 ? 'regression' : 'improvement';
+  }
+  return { diffPercent, ci, pValue, verdict };
+}